@@ -0,0 +1,118 @@
+const { YtError, BadRequestError } = require('./errors');
+const searchYoutube = require('./youtubeSearch');
+const { suggest } = require('./youtubeSuggest');
+const {
+  getVideoDetails,
+  getVideoFormats,
+  getVideoChapters,
+  getVideoComments,
+  getPlaylistDetails,
+  getChannelDetails,
+} = require('./youtubeResources');
+
+const DEFAULT_CONCURRENCY = 4;
+const MAX_CONCURRENCY = 16;
+const MAX_OPERATIONS = 50;
+
+// Options an operation may carry next to its op and id/q; anything else is ignored.
+const OPTION_KEYS = [
+  'hl',
+  'gl',
+  'limit',
+  'relatedLimit',
+  'pageToken',
+  'all',
+  'tab',
+  'type',
+  'sort',
+  'uploadDate',
+  'duration',
+  'features',
+  'engine',
+  'audioOnly',
+  'videoOnly',
+];
+
+// `resource` and `cacheOptions` mirror what the matching server route caches under.
+const OPERATIONS = {
+  search: { field: 'q', resource: 'search', run: searchYoutube },
+  suggest: { field: 'q', resource: 'suggest', run: suggest },
+  video: { field: 'id', resource: 'video', run: getVideoDetails },
+  formats: { field: 'id', resource: 'formats', run: getVideoFormats },
+  chapters: { field: 'id', resource: 'video', cacheOptions: { chapters: true }, run: getVideoChapters },
+  comments: { field: 'id', resource: 'comments', run: getVideoComments },
+  playlist: { field: 'id', resource: 'playlist', run: getPlaylistDetails },
+  channel: { field: 'id', resource: 'channel', run: getChannelDetails },
+};
+
+const pickOptions = operation => {
+  const options = {};
+  for (const key of OPTION_KEYS) if (operation[key] !== undefined) options[key] = operation[key];
+  return options;
+};
+
+// Errors the library did not raise on purpose are reported without details, as the server does.
+const describeError = error =>
+  error instanceof YtError
+    ? Object.assign({ status: error.status }, error.toJSON())
+    : { status: 500, code: 'internal_error', message: 'internal error', retryable: false };
+
+const runOperation = async (operation, load) => {
+  if (!operation || typeof operation !== 'object' || Array.isArray(operation)) {
+    throw new BadRequestError('operation must be an object');
+  }
+  const spec = Object.prototype.hasOwnProperty.call(OPERATIONS, operation.op) ? OPERATIONS[operation.op] : null;
+  if (!spec) throw new BadRequestError(`invalid op: use one of ${Object.keys(OPERATIONS).join(', ')}`);
+
+  const target = operation[spec.field];
+  if (!target || typeof target !== 'string') {
+    throw new BadRequestError(`${spec.field} is required for op ${operation.op}`);
+  }
+
+  const options = pickOptions(operation);
+  const cacheOptions = Object.assign({}, spec.cacheOptions, options);
+  return load(spec.resource, target, cacheOptions, () => spec.run(target, options));
+};
+
+const toConcurrency = value => {
+  const n = Math.floor(Number(value));
+  return Number.isFinite(n) && n > 0 ? Math.min(n, MAX_CONCURRENCY) : DEFAULT_CONCURRENCY;
+};
+
+// Runs up to `concurrency` operations at a time and resolves once all of them settled:
+// { results: [{ op, ok, value } | { op, ok, error }], succeeded, failed }, in request order.
+// `load(resource, id, options, loader)` lets the caller put a cache in front of each operation.
+// Library users get it with require('nd_ytr/batch').
+exports.batch = async (operations, { concurrency, load = (resource, id, options, loader) => loader() } = {}) => {
+  if (!Array.isArray(operations) || !operations.length) {
+    throw new BadRequestError('operations must be a non-empty array');
+  }
+  if (operations.length > MAX_OPERATIONS) {
+    throw new BadRequestError(`too many operations: at most ${MAX_OPERATIONS} per batch`);
+  }
+
+  const results = new Array(operations.length);
+  let cursor = 0;
+  const worker = async () => {
+    while (cursor < operations.length) {
+      const index = cursor++;
+      const operation = operations[index];
+      const op = operation && typeof operation.op === 'string' ? operation.op : null;
+      try {
+        results[index] = { op, ok: true, value: await runOperation(operation, load) };
+      } catch (error) {
+        results[index] = { op, ok: false, error: describeError(error) };
+      }
+    }
+  };
+
+  const workers = Math.min(toConcurrency(concurrency), operations.length);
+  await Promise.all(Array.from({ length: workers }, worker));
+
+  const succeeded = results.filter(x => x.ok).length;
+  return { results, succeeded, failed: results.length - succeeded };
+};
+
+exports.BATCH_OPERATIONS = Object.keys(OPERATIONS);
+exports.MAX_BATCH_OPERATIONS = MAX_OPERATIONS;
+exports.MAX_BATCH_CONCURRENCY = MAX_CONCURRENCY;
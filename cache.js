@@ -0,0 +1,134 @@
+const crypto = require('crypto');
+const FS = require('fs');
+const PATH = require('path');
+
+// Seconds each resource type stays fresh; 0 disables caching for that resource.
+const DEFAULT_TTLS = {
+  video: 300,
+  playlist: 600,
+  channel: 900,
+  search: 120,
+  captions: 3600,
+  // stream urls expire after a few hours, see streamingData.expiresInSeconds
+  formats: 300,
+  comments: 300,
+  suggest: 60,
+};
+
+const hashKey = key => crypto.createHash('sha1').update(key).digest('hex');
+
+const isFresh = entry => !!entry && entry.expiresAt > Date.now();
+
+// In-memory LRU: a Map keeps insertion order, so re-inserting on read moves an entry to the back.
+exports.createMemoryStore = ({ maxEntries = 500 } = {}) => {
+  const entries = new Map();
+  return {
+    get: key => {
+      const entry = entries.get(key);
+      if (!entry) return null;
+      entries.delete(key);
+      if (!isFresh(entry)) return null;
+      entries.set(key, entry);
+      return entry;
+    },
+    set: (key, entry) => {
+      entries.delete(key);
+      entries.set(key, entry);
+      while (entries.size > maxEntries) entries.delete(entries.keys().next().value);
+    },
+    delete: key => {
+      entries.delete(key);
+    },
+    clear: () => {
+      entries.clear();
+    },
+  };
+};
+
+// One JSON file per key. Unreadable or expired files count as misses and are removed.
+exports.createDiskStore = ({ dir }) => {
+  if (!dir) throw new Error('disk cache dir is required');
+  const fileFor = key => PATH.join(dir, `${hashKey(key)}.json`);
+  const remove = file => FS.promises.unlink(file).catch(() => {});
+
+  return {
+    get: async key => {
+      const file = fileFor(key);
+      let entry;
+      try {
+        entry = JSON.parse(await FS.promises.readFile(file, 'utf8'));
+      } catch (_) {
+        return null;
+      }
+      if (!isFresh(entry) || entry.key !== key) {
+        await remove(file);
+        return null;
+      }
+      return entry;
+    },
+    set: async (key, entry) => {
+      await FS.promises.mkdir(dir, { recursive: true });
+      const file = fileFor(key);
+      const tmp = `${file}.${process.pid}.tmp`;
+      await FS.promises.writeFile(tmp, JSON.stringify(Object.assign({ key }, entry)));
+      await FS.promises.rename(tmp, file);
+    },
+    delete: key => remove(fileFor(key)),
+    clear: async () => {
+      const files = await FS.promises.readdir(dir).catch(() => []);
+      await Promise.all(files.filter(x => x.endsWith('.json')).map(x => remove(PATH.join(dir, x))));
+    },
+  };
+};
+
+const normalizeOptions = options => {
+  const out = {};
+  for (const key of Object.keys(options || {}).sort()) {
+    const value = options[key];
+    // Flags default to off, so `false` and a missing flag share an entry.
+    if (value === undefined || value === null || value === '' || value === false) continue;
+    out[key] = value;
+  }
+  return out;
+};
+
+exports.cacheKey = (resource, id, options = {}) => {
+  const { hl, gl } = options;
+  const rest = Object.assign({}, options);
+  delete rest.hl;
+  delete rest.gl;
+  return JSON.stringify([resource, id || '', hl || '', gl || '', normalizeOptions(rest)]);
+};
+
+// `onLookup(resource, hit)` is told about every lookup in the store, for hit ratios.
+exports.createCache = ({ store = exports.createMemoryStore(), ttls = {}, onLookup = () => {} } = {}) => {
+  const ttlTable = Object.assign({}, DEFAULT_TTLS, ttls);
+  const ttlFor = resource => (Number(ttlTable[resource]) > 0 ? Number(ttlTable[resource]) : 0);
+
+  return {
+    ttlFor,
+    // Resolves to { value, storedAt, ttl, hit }; `loader` runs only on a miss.
+    wrap: async (resource, id, options, loader) => {
+      const ttl = ttlFor(resource);
+      if (!store || !ttl) return { value: await loader(), storedAt: Date.now(), ttl, hit: false };
+
+      // A failing store degrades to a miss; it never fails the request itself.
+      const key = exports.cacheKey(resource, id, options);
+      const cached = await Promise.resolve()
+        .then(() => store.get(key))
+        .catch(() => null);
+      onLookup(resource, !!cached);
+      if (cached) return { value: cached.value, storedAt: cached.storedAt, ttl, hit: true };
+
+      const value = await loader();
+      const storedAt = Date.now();
+      await Promise.resolve()
+        .then(() => store.set(key, { value, storedAt, expiresAt: storedAt + ttl * 1000 }))
+        .catch(() => {});
+      return { value, storedAt, ttl, hit: false };
+    },
+    clear: () => store && store.clear(),
+  };
+};
+
+exports.DEFAULT_TTLS = DEFAULT_TTLS;
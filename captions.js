@@ -0,0 +1,106 @@
+const CAPTION_FORMATS = ['json', 'srt', 'vtt', 'txt'];
+
+const decodeEntities = text =>
+  text
+    .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(Number(dec)))
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&');
+
+const stripTags = text => text.replace(/<[^>]*>/g, '');
+
+const parseAttributes = raw => {
+  const attrs = {};
+  const re = /([\w-]+)="([^"]*)"/g;
+  let match;
+  while ((match = re.exec(raw))) attrs[match[1]] = match[2];
+  return attrs;
+};
+
+const round = value => Math.round(value * 1000) / 1000;
+
+const buildCue = (start, duration, text, words) => {
+  const cue = {
+    start: round(start),
+    duration: round(duration),
+    end: round(start + duration),
+    text,
+  };
+  if (words && words.length) cue.words = words;
+  return cue;
+};
+
+// srv3: <p t="ms" d="ms"><s t="offsetMs" ac="..">word</s>...</p>, used for asr word timings.
+const parseSrv3 = xml => {
+  const cues = [];
+  const re = /<p\b([^>]*)>([\s\S]*?)<\/p>/g;
+  let match;
+  while ((match = re.exec(xml))) {
+    const attrs = parseAttributes(match[1]);
+    const start = Number(attrs.t || 0) / 1000;
+    const duration = Number(attrs.d || 0) / 1000;
+    const body = match[2];
+
+    const words = [];
+    const wordRe = /<s\b([^>]*)>([\s\S]*?)<\/s>/g;
+    let word;
+    while ((word = wordRe.exec(body))) {
+      const wordAttrs = parseAttributes(word[1]);
+      const text = decodeEntities(stripTags(word[2])).trim();
+      if (!text) continue;
+      words.push({ text, start: round(start + Number(wordAttrs.t || 0) / 1000) });
+    }
+
+    const text = decodeEntities(stripTags(body)).replace(/\s+/g, ' ').trim();
+    if (!text) continue;
+    cues.push(buildCue(start, duration, text, words));
+  }
+  return cues;
+};
+
+// Legacy format: <transcript><text start="s" dur="s">...</text></transcript>.
+const parseLegacy = xml => {
+  const cues = [];
+  const re = /<text\b([^>]*)>([\s\S]*?)<\/text>/g;
+  let match;
+  while ((match = re.exec(xml))) {
+    const attrs = parseAttributes(match[1]);
+    // Text nodes are sometimes escaped twice (&amp;#39;).
+    const text = decodeEntities(stripTags(decodeEntities(match[2]))).replace(/\s+/g, ' ').trim();
+    if (!text) continue;
+    cues.push(buildCue(Number(attrs.start || 0), Number(attrs.dur || 0), text));
+  }
+  return cues;
+};
+
+exports.parseTimedText = xml => {
+  if (!xml || typeof xml !== 'string') return [];
+  return /<timedtext\b[^>]*format="3"/.test(xml) || /<p\b[^>]*\bt="/.test(xml) ? parseSrv3(xml) : parseLegacy(xml);
+};
+
+const pad = (value, size) => String(value).padStart(size, '0');
+
+const formatTimestamp = (seconds, separator) => {
+  const totalMs = Math.max(0, Math.round(seconds * 1000));
+  const hours = Math.floor(totalMs / 3600000);
+  const minutes = Math.floor((totalMs % 3600000) / 60000);
+  const secs = Math.floor((totalMs % 60000) / 1000);
+  return `${pad(hours, 2)}:${pad(minutes, 2)}:${pad(secs, 2)}${separator}${pad(totalMs % 1000, 3)}`;
+};
+
+exports.toSrt = cues =>
+  cues
+    .map((cue, index) => `${index + 1}\n${formatTimestamp(cue.start, ',')} --> ${formatTimestamp(cue.end, ',')}\n${cue.text}\n`)
+    .join('\n');
+
+exports.toVtt = cues =>
+  `WEBVTT\n\n${cues
+    .map(cue => `${formatTimestamp(cue.start, '.')} --> ${formatTimestamp(cue.end, '.')}\n${cue.text}\n`)
+    .join('\n')}`;
+
+exports.toText = cues => cues.map(cue => cue.text).join('\n');
+
+exports.CAPTION_FORMATS = CAPTION_FORMATS;
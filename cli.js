@@ -13,6 +13,18 @@ for (const arg of args) {
     options.hl = arg.slice('--hl='.length);
   } else if (arg.startsWith('--gl=')) {
     options.gl = arg.slice('--gl='.length);
+  } else if (arg.startsWith('--engine=')) {
+    options.engine = arg.slice('--engine='.length);
+  } else if (arg.startsWith('--sort=')) {
+    options.sort = arg.slice('--sort='.length);
+  } else if (arg.startsWith('--uploadDate=')) {
+    options.uploadDate = arg.slice('--uploadDate='.length);
+  } else if (arg.startsWith('--duration=')) {
+    options.duration = arg.slice('--duration='.length);
+  } else if (arg.startsWith('--features=')) {
+    options.features = arg.slice('--features='.length);
+  } else if (arg.startsWith('--pageToken=')) {
+    options.pageToken = arg.slice('--pageToken='.length);
   } else {
     terms.push(arg);
   }
@@ -20,8 +32,13 @@ for (const arg of args) {
 
 const query = terms.join(' ').trim();
 
-if (!query) {
-  console.error('Usage: npm start -- "<search query>" [--type=video|playlist|channel|all] [--limit=10] [--hl=fr] [--gl=FR]');
+if (!query && !options.pageToken) {
+  console.error(
+    'Usage: npm start -- "<search query>" [--type=video|short|playlist|channel|all] [--limit=10] [--hl=fr] [--gl=FR] [--pageToken=...]' +
+      ' [--engine=html|innertube|auto]' +
+      ' [--sort=relevance|date|views|rating] [--uploadDate=hour|today|week|month|year]' +
+      ' [--duration=short|medium|long] [--features=hd,4k,subtitles,live,creativeCommons]',
+  );
   process.exit(1);
 }
 
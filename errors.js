@@ -0,0 +1,163 @@
+// Every error the library throws on purpose extends YtError. `status` is the HTTP status
+// the API answers with, `code` a stable identifier and `retryable` whether the same call
+// may succeed later.
+const { registry } = require('./metrics');
+
+class YtError extends Error {
+  constructor(message, { code = 'internal_error', status = 500, retryable = false, cause } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code;
+    this.status = status;
+    this.retryable = retryable;
+    if (cause) this.cause = cause;
+  }
+
+  toJSON() {
+    return { code: this.code, message: this.message, retryable: this.retryable };
+  }
+}
+
+class BadRequestError extends YtError {
+  constructor(message, options = {}) {
+    super(message, Object.assign({ code: 'bad_request', status: 400 }, options));
+  }
+}
+
+// A request the route table rejects; `fields` lists every bad parameter as { name, in, message }.
+class ValidationError extends BadRequestError {
+  constructor(fields) {
+    super(`invalid request: ${fields.map(x => `${x.name} ${x.message}`).join('; ')}`);
+    this.fields = fields;
+  }
+
+  toJSON() {
+    return Object.assign(super.toJSON(), { fields: this.fields });
+  }
+}
+
+class NotFoundError extends YtError {
+  constructor(message, options = {}) {
+    super(message, Object.assign({ code: 'not_found', status: 404 }, options));
+  }
+}
+
+class UnauthorizedError extends YtError {
+  constructor(message, options = {}) {
+    super(message, Object.assign({ code: 'unauthorized', status: 401 }, options));
+  }
+}
+
+// This API throttling its own client (code rate_limited or quota_exceeded), as opposed to
+// YouTube throttling the service (UpstreamRateLimitedError).
+class RateLimitedError extends YtError {
+  constructor(message, { code = 'rate_limited', retryAfter = null } = {}) {
+    super(message, { code, status: 429, retryable: true });
+    this.retryAfter = retryAfter;
+  }
+}
+
+class UpstreamRateLimitedError extends YtError {
+  constructor(message, { retryAfter = null, cause } = {}) {
+    super(message, { code: 'upstream_rate_limited', status: 429, retryable: true, cause });
+    // Seconds, as sent by YouTube in Retry-After, when known.
+    this.retryAfter = retryAfter;
+  }
+}
+
+// The service is saturated: too many YouTube requests are already running or queued
+// (code upstream_queue_full or upstream_queue_timeout).
+class UpstreamBusyError extends YtError {
+  constructor(message, { code = 'upstream_busy' } = {}) {
+    super(message, { code, status: 503, retryable: true });
+  }
+}
+
+class UpstreamStatusError extends YtError {
+  constructor(message, { statusCode = null, cause } = {}) {
+    super(message, { code: 'upstream_status', status: 502, retryable: !statusCode || statusCode >= 500, cause });
+    this.statusCode = statusCode;
+  }
+}
+
+class UpstreamNetworkError extends YtError {
+  constructor(message, { cause } = {}) {
+    super(message, { code: 'upstream_network', status: 502, retryable: true, cause });
+  }
+}
+
+class ParseError extends YtError {
+  constructor(message, { extractor = null, cause } = {}) {
+    super(message, { code: 'parse_error', status: 502, cause });
+    this.extractor = extractor;
+  }
+}
+
+class TimeoutError extends YtError {
+  constructor(message, { cause } = {}) {
+    super(message, { code: 'timeout', status: 504, retryable: true, cause });
+  }
+}
+
+const TIMEOUT_CODES = new Set(['UND_ERR_CONNECT_TIMEOUT', 'UND_ERR_HEADERS_TIMEOUT', 'UND_ERR_BODY_TIMEOUT']);
+
+const parseRetryAfter = value => {
+  if (!value) return null;
+  const raw = Array.isArray(value) ? value[0] : value;
+  if (/^\d+$/.test(String(raw).trim())) return Number(raw);
+  const date = Date.parse(raw);
+  return Number.isNaN(date) ? null : Math.max(0, Math.ceil((date - Date.now()) / 1000));
+};
+
+// Maps a non-200 upstream answer to the matching error class.
+const fromUpstreamStatus = (statusCode, headers = {}, url = '') => {
+  const where = url ? ` for ${url.split('?')[0]}` : '';
+  if (statusCode === 404 || statusCode === 410) {
+    return new NotFoundError(`youtube returned status ${statusCode}${where}`);
+  }
+  if (statusCode === 429) {
+    return new UpstreamRateLimitedError(`youtube returned status 429${where}`, {
+      retryAfter: parseRetryAfter(headers['retry-after']),
+    });
+  }
+  return new UpstreamStatusError(`youtube returned status ${statusCode}${where}`, { statusCode });
+};
+
+// Wraps errors raised by undici itself (no HTTP answer at all).
+const fromNetworkError = error => {
+  if (error instanceof YtError) return error;
+  if (error && (TIMEOUT_CODES.has(error.code) || error.name === 'TimeoutError' || error.name === 'AbortError')) {
+    return new TimeoutError(`youtube request timed out (${typeof error.code === 'string' ? error.code : error.name})`, { cause: error });
+  }
+  return new UpstreamNetworkError(`youtube request failed: ${(error && error.message) || error}`, { cause: error });
+};
+
+const parseFailures = registry.counter(
+  'ytr_parse_failures_total',
+  'YouTube answers that could not be parsed, by extractor (ytInitialData, ytInitialPlayerResponse, ...).',
+  ['extractor'],
+);
+
+// Counts a ParseError where it ends: answered to a client, or swallowed by a fallback or a canary.
+const recordParseFailure = error => {
+  if (error instanceof ParseError) parseFailures.inc({ extractor: error.extractor || 'unknown' });
+};
+
+module.exports = {
+  YtError,
+  BadRequestError,
+  ValidationError,
+  NotFoundError,
+  UnauthorizedError,
+  RateLimitedError,
+  UpstreamRateLimitedError,
+  UpstreamBusyError,
+  UpstreamStatusError,
+  UpstreamNetworkError,
+  ParseError,
+  TimeoutError,
+  fromUpstreamStatus,
+  fromNetworkError,
+  parseRetryAfter,
+  recordParseFailure,
+};
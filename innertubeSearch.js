@@ -0,0 +1,93 @@
+const ytsr = require('./main');
+const { YtError, BadRequestError, ParseError, fromNetworkError } = require('./errors');
+const NORMALIZE = require('./normalize');
+
+// The ytsr-derived client in main.js only knows videos and playlists.
+const SUPPORTED_TYPES = new Set(['video', 'playlist']);
+
+const normalizeThumbs = thumbs =>
+  (Array.isArray(thumbs) ? thumbs : []).map(t => ({
+    url: t.url || null,
+    width: t.width || null,
+    height: t.height || null,
+  }));
+
+// Maps parseItem.js output onto the item shape produced by youtubeSearch.js.
+const toVideo = item => ({
+  type: 'video',
+  id: item.id || null,
+  title: item.name || '',
+  url: item.url || null,
+  channel: item.author
+    ? {
+        name: item.author.name || null,
+        id: item.author.channelID || null,
+        url: item.author.url || null,
+      }
+    : null,
+  description: item.description || '',
+  duration: item.duration || '',
+  durationSeconds: NORMALIZE.parseDuration(item.duration),
+  views: typeof item.views === 'number' && Number.isFinite(item.views) ? item.views : null,
+  viewsText: item.viewsText || '',
+  publishedAt: item.uploadedAt || '',
+  publishedAtISO: NORMALIZE.parseRelativeDate(item.uploadedAt),
+  isLive: !!item.isLive,
+  thumbnails: normalizeThumbs(item.thumbnails),
+  renderer: item.renderer || 'videoRenderer',
+});
+
+const toPlaylist = item => ({
+  type: 'playlist',
+  id: item.id || null,
+  title: item.name || '',
+  url: item.url || null,
+  channel: item.owner
+    ? {
+        name: item.owner.name || null,
+        id: item.owner.channelID || null,
+      }
+    : null,
+  videoCount: Number.isFinite(item.length) ? item.length : null,
+  thumbnails: normalizeThumbs(item.thumbnails),
+  renderer: item.renderer || 'playlistRenderer',
+});
+
+exports.supportsType = type => SUPPORTED_TYPES.has(type);
+
+exports.search = async (query, options = {}) => {
+  if (!query || typeof query !== 'string') {
+    throw new BadRequestError('query must be a non-empty string');
+  }
+  const type = options.type || 'video';
+  if (!SUPPORTED_TYPES.has(type)) {
+    throw new BadRequestError(`invalid type for the innertube engine: use one of ${[...SUPPORTED_TYPES].join(', ')}`);
+  }
+
+  let result;
+  try {
+    result = await ytsr(query, {
+      type,
+      limit: options.limit,
+      hl: options.hl,
+      gl: options.gl,
+      sort: options.sort,
+      uploadDate: options.uploadDate,
+      duration: options.duration,
+      features: options.features,
+    });
+  } catch (error) {
+    if (error instanceof YtError) throw error;
+    // undici failures carry a code; anything else is main.js tripping over the response layout.
+    if (error && error.code) throw fromNetworkError(error);
+    throw new ParseError(`innertube search failed: ${error.message}`, { extractor: 'innertube', cause: error });
+  }
+
+  return {
+    query: result.query || query,
+    estimatedResults: result.results || null,
+    items: (result.items || []).map(item => (item.type === 'playlist' ? toPlaylist(item) : toVideo(item))),
+    // main.js does not page, so innertube answers are always a single page.
+    nextPageToken: null,
+  };
+};
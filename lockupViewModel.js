@@ -0,0 +1,63 @@
+// lockupViewModel is the renderer YouTube is rolling out in place of videoRenderer,
+// compactVideoRenderer and playlistRenderer. parseLockup reduces one to a neutral shape;
+// each module maps it onto its own item shape.
+
+const { collectByRendererKey } = require('./renderers');
+
+const YT_BASE_URL = 'https://www.youtube.com';
+const DURATION_PATTERN = /^\d+(:\d{2}){1,2}$/;
+const PLAYLIST_KINDS = new Set(['playlist', 'album', 'podcast']);
+
+const textOf = value => (value && typeof value.content === 'string' ? value.content : '');
+
+const normalizeSources = sources =>
+  (Array.isArray(sources) ? [...sources] : [])
+    .sort((a, b) => (b.width || 0) - (a.width || 0))
+    .map(x => ({ url: x.url || null, width: x.width || null, height: x.height || null }));
+
+// Metadata rows hold text parts: the channel first, then views and publish time.
+const metadataRows = metadata => {
+  const content = metadata.metadata && metadata.metadata.contentMetadataViewModel;
+  const rows = content && Array.isArray(content.metadataRows) ? content.metadataRows : [];
+  return rows.map(row => (Array.isArray(row.metadataParts) ? row.metadataParts.map(part => textOf(part.text)) : []));
+};
+
+const parseChannel = (metadata, name) => {
+  const browse = collectByRendererKey(metadata, 'browseEndpoint').find(x => x && x.browseId);
+  if (!browse && !name) return null;
+  const path = browse && (browse.canonicalBaseUrl || `/channel/${browse.browseId}`);
+  return {
+    name: name || null,
+    id: browse ? browse.browseId : null,
+    url: path ? new URL(path, YT_BASE_URL).toString() : null,
+  };
+};
+
+const parseLockup = viewModel => {
+  const kind = String(viewModel.contentType || '')
+    .replace(/^LOCKUP_CONTENT_TYPE_/, '')
+    .toLowerCase();
+  const metadata = (viewModel.metadata && viewModel.metadata.lockupMetadataViewModel) || {};
+  const rows = metadataRows(metadata);
+  const statsRow = rows.length > 1 ? rows[1] : rows[0] || [];
+
+  const badges = collectByRendererKey(viewModel.contentImage, 'thumbnailBadgeViewModel').filter(Boolean);
+  const badgeTexts = badges.map(x => x.text).filter(Boolean);
+  const image = collectByRendererKey(viewModel.contentImage, 'thumbnailViewModel').find(x => x && x.image);
+
+  return {
+    kind: kind || null,
+    isPlaylist: PLAYLIST_KINDS.has(kind),
+    id: viewModel.contentId || null,
+    title: textOf(metadata.title),
+    channel: parseChannel(metadata, rows.length > 1 ? rows[0][0] : null),
+    duration: badgeTexts.find(x => DURATION_PATTERN.test(x)) || '',
+    isLive: badges.some(x => /LIVE/.test(x.badgeStyle || '')),
+    viewsText: kind === 'video' ? statsRow[0] || '' : '',
+    publishedText: kind === 'video' ? statsRow[1] || '' : '',
+    videoCountText: badgeTexts.find(x => /\d/.test(x) && !DURATION_PATTERN.test(x)) || '',
+    thumbnails: normalizeSources(image && image.image.sources),
+  };
+};
+
+exports.parseLockup = parseLockup;
@@ -1,5 +1,5 @@
 const PARSE_ITEM = require('./parseItem.js');
-const { request } = require('undici');
+const UPSTREAM = require('./upstream.js');
 const UTIL = require('./util.js');
 
 const BASE_SEARCH_URL = 'https://www.youtube.com/results';
@@ -43,8 +43,7 @@ const main = (module.exports = async (searchString, options, rt = 3) => {
     !CACHE.has('playlistParams')
     // || !CACHE.has('apiKey')
   ) {
-    const res = await request(BASE_SEARCH_URL, Object.assign({}, opts.requestOptions, { query: opts.query }));
-    const body = await res.body.text();
+    const body = await UPSTREAM.request(BASE_SEARCH_URL, Object.assign({}, opts.requestOptions, { query: opts.query }));
     parsed = UTIL.parseBody(body, opts);
   }
   saveCache(parsed, opts);
@@ -77,7 +76,8 @@ const main = (module.exports = async (searchString, options, rt = 3) => {
         }),
         {
           context: parsed.context,
-          query: searchString,
+          query: opts.search,
+          params: opts.query.sp,
         },
       );
     } catch (e) {
@@ -0,0 +1,100 @@
+// A small Prometheus registry: counters, histograms and gauges with labels, rendered in the
+// text exposition format. Modules register their metrics on the shared `registry`.
+
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+const escapeLabel = value =>
+  String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, '\\n');
+
+const formatLabels = (names, values, extra = '') => {
+  const pairs = names.map((name, i) => `${name}="${escapeLabel(values[i])}"`);
+  if (extra) pairs.push(extra);
+  return pairs.length ? `{${pairs.join(',')}}` : '';
+};
+
+const formatNumber = value => (value === Infinity ? '+Inf' : String(value));
+
+// Series are keyed by their label values in declaration order; missing labels read as ''.
+const seriesKey = (labelNames, labels = {}) =>
+  JSON.stringify(labelNames.map(name => (labels[name] === undefined ? '' : String(labels[name]))));
+
+const createCounter = (name, help, labelNames) => {
+  const series = new Map();
+  return {
+    inc: (labels, value = 1) => {
+      const key = seriesKey(labelNames, labels);
+      series.set(key, (series.get(key) || 0) + value);
+    },
+    get: labels => series.get(seriesKey(labelNames, labels)) || 0,
+    render: () => [
+      `# HELP ${name} ${help}`,
+      `# TYPE ${name} counter`,
+      ...[...series].map(([key, value]) => `${name}${formatLabels(labelNames, JSON.parse(key))} ${value}`),
+    ],
+  };
+};
+
+const createHistogram = (name, help, labelNames, buckets = DEFAULT_BUCKETS) => {
+  const series = new Map();
+  return {
+    observe: (labels, value) => {
+      const key = seriesKey(labelNames, labels);
+      const entry = series.get(key) || { counts: buckets.map(() => 0), sum: 0, count: 0 };
+      buckets.forEach((bound, i) => {
+        if (value <= bound) entry.counts[i] += 1;
+      });
+      entry.sum += value;
+      entry.count += 1;
+      series.set(key, entry);
+    },
+    render: () => {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`];
+      for (const [key, entry] of series) {
+        const values = JSON.parse(key);
+        buckets.forEach((bound, i) => {
+          lines.push(`${name}_bucket${formatLabels(labelNames, values, `le="${bound}"`)} ${entry.counts[i]}`);
+        });
+        lines.push(`${name}_bucket${formatLabels(labelNames, values, 'le="+Inf"')} ${entry.count}`);
+        lines.push(`${name}_sum${formatLabels(labelNames, values)} ${entry.sum}`);
+        lines.push(`${name}_count${formatLabels(labelNames, values)} ${entry.count}`);
+      }
+      return lines;
+    },
+  };
+};
+
+// Gauges are computed at scrape time: `collect()` returns [{ labels, value }].
+const createGauge = (name, help, labelNames, collect) => ({
+  render: () => [
+    `# HELP ${name} ${help}`,
+    `# TYPE ${name} gauge`,
+    ...collect().map(({ labels, value }) => {
+      const values = labelNames.map(x => (labels[x] === undefined ? '' : labels[x]));
+      return `${name}${formatLabels(labelNames, values)} ${formatNumber(value)}`;
+    }),
+  ],
+});
+
+exports.createRegistry = () => {
+  const metrics = new Map();
+  const register = (name, metric) => {
+    if (metrics.has(name)) throw new Error(`metric ${name} is already registered`);
+    metrics.set(name, metric);
+    return metric;
+  };
+
+  return {
+    counter: (name, help, labelNames = []) => register(name, createCounter(name, help, labelNames)),
+    histogram: (name, help, labelNames = [], buckets) =>
+      register(name, createHistogram(name, help, labelNames, buckets)),
+    gauge: (name, help, labelNames, collect) => register(name, createGauge(name, help, labelNames, collect)),
+    render: () => `${[...metrics.values()].map(x => x.render().join('\n')).join('\n')}\n`,
+  };
+};
+
+exports.registry = exports.createRegistry();
+exports.CONTENT_TYPE = 'text/plain; version=0.0.4';
+exports.DEFAULT_BUCKETS = DEFAULT_BUCKETS;
@@ -0,0 +1,107 @@
+// Turns the localized texts YouTube renders (durations, counts, relative dates) into numbers
+// and timestamps. Counts and dates are understood in en, fr, es, de and pt whatever `hl` was.
+
+// Abbreviation words following a count, lowercased without their trailing dot.
+const COUNT_MULTIPLIERS = {
+  // thousands: en/fr "K", es/pt "mil", de "Tsd."
+  k: 1e3,
+  mil: 1e3,
+  tsd: 1e3,
+  thousand: 1e3,
+  // millions: en/fr/es "M", de "Mio.", pt "mi"
+  m: 1e6,
+  mio: 1e6,
+  mi: 1e6,
+  million: 1e6,
+  millions: 1e6,
+  millón: 1e6,
+  millones: 1e6,
+  millionen: 1e6,
+  milhão: 1e6,
+  milhões: 1e6,
+  // billions: en "B", fr "Md", de "Mrd.", pt "bi", es "mil M"
+  b: 1e9,
+  md: 1e9,
+  mrd: 1e9,
+  bi: 1e9,
+  'mil m': 1e9,
+  billion: 1e9,
+  billions: 1e9,
+  milliard: 1e9,
+  milliards: 1e9,
+  milliarden: 1e9,
+  bilhão: 1e9,
+  bilhões: 1e9,
+};
+
+const SECOND = 1000;
+const DAY = 86400 * SECOND;
+
+// Unit words of relative dates ("3 days ago", "il y a 3 jours", "hace 3 días", "vor 3 Tagen",
+// "há 3 dias"), matched on their stem. Months and years are approximated as 30 and 365 days.
+const RELATIVE_UNITS = [
+  { pattern: /^(sec|seg|sek)/, ms: SECOND },
+  { pattern: /^min/, ms: 60 * SECOND },
+  { pattern: /^(hour|heure|hora|stund)/, ms: 3600 * SECOND },
+  { pattern: /^(day|jour|día|dia|tag)/, ms: DAY },
+  { pattern: /^(week|semaine|semana|woche)/, ms: 7 * DAY },
+  { pattern: /^(month|mois|mes|mês|monat)/, ms: 30 * DAY },
+  { pattern: /^(year|an|año|ano|jahr)/, ms: 365 * DAY },
+];
+
+// "3:45" or "1:02:03" to seconds; null for anything else ("LIVE", "").
+exports.parseDuration = text => {
+  const raw = String(text || '').trim();
+  if (!/^\d+(:\d{1,2}){1,2}$/.test(raw)) return null;
+  return raw.split(':').reduce((total, part) => total * 60 + Number(part), 0);
+};
+
+// Reads a separator-formatted number: "1,234" and "1.234" are thousands unless `decimal`,
+// in which case the last separator is the decimal point ("1,2 M", "1.2K").
+const parseNumber = (raw, decimal) => {
+  const compact = raw.replace(/\s/g, '');
+  if (!decimal) return Number(compact.replace(/[.,]/g, ''));
+  const last = Math.max(compact.lastIndexOf('.'), compact.lastIndexOf(','));
+  if (last === -1) return Number(compact);
+  return Number(`${compact.slice(0, last).replace(/[.,]/g, '')}.${compact.slice(last + 1)}`);
+};
+
+const countMatch = text => String(text || '').match(/(\d[\d.,\s]*)(.*)$/);
+
+// The COUNT_MULTIPLIERS factor of the words after the number, or undefined.
+const multiplierOf = match => {
+  const words = match[2]
+    .trim()
+    .toLowerCase()
+    .split(/\s+/)
+    .map(x => x.replace(/\.$/, ''));
+  return COUNT_MULTIPLIERS[`${words[0]} ${words[1]}`] || COUNT_MULTIPLIERS[words[0]];
+};
+
+// "1 234 567 vues", "1,2 M de vues", "1.2K views", "12 mil visualizaciones", "1,2 Mio. Aufrufe".
+exports.parseCount = text => {
+  const match = countMatch(text);
+  if (!match) return null;
+
+  const multiplier = multiplierOf(match);
+  const value = parseNumber(match[1].trim(), !!multiplier);
+  if (!Number.isFinite(value)) return null;
+  return multiplier ? Math.round(value * multiplier) : value;
+};
+
+// Whether a count is abbreviated ("1,2 M", "3 Millionen"), so parseCount only approximates it.
+exports.hasCountMultiplier = text => {
+  const match = countMatch(text);
+  return !!match && !!multiplierOf(match);
+};
+
+// "il y a 2 ans", "Streamed 3 hours ago", ... to an approximate ISO timestamp; null for
+// absolute dates and texts without a number.
+exports.parseRelativeDate = (text, now = Date.now()) => {
+  const match = String(text || '')
+    .toLowerCase()
+    .match(/(\d+)\s*([^\s\d.,()]+)/);
+  if (!match) return null;
+  const unit = RELATIVE_UNITS.find(x => x.pattern.test(match[2]));
+  return unit ? new Date(now - Number(match[1]) * unit.ms).toISOString() : null;
+};
@@ -0,0 +1,418 @@
+// Builds the OpenAPI 3 document and the /docs page from the route table in routes.js.
+
+const { ROUTES } = require('./routes');
+const { version } = require('./package.json');
+
+const str = { type: 'string' };
+const int = { type: 'integer' };
+const num = { type: 'number' };
+const bool = { type: 'boolean' };
+const nullable = schema => Object.assign({ nullable: true }, schema);
+const list = items => ({ type: 'array', items });
+const object = (properties, extra = {}) => Object.assign({ type: 'object', properties }, extra);
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+
+const THUMBNAILS = list(object({ url: nullable(str), width: nullable(int), height: nullable(int) }));
+const CHANNEL_REF = nullable(object({ name: nullable(str), id: nullable(str), url: nullable(str) }));
+
+const SCHEMAS = {
+  Error: object(
+    {
+      code: str,
+      message: str,
+      retryable: bool,
+      fields: list(object({ name: str, in: { type: 'string', enum: ['path', 'query', 'body'] }, message: str })),
+    },
+    { required: ['code', 'message', 'retryable'] },
+  ),
+  Health: object({ ok: bool }),
+  Readiness: object({
+    ready: bool,
+    checkedAt: nullable({ type: 'string', format: 'date-time' }),
+    checks: {
+      type: 'object',
+      additionalProperties: object({
+        ok: nullable(bool),
+        durationMs: nullable(int),
+        lastRunAt: nullable({ type: 'string', format: 'date-time' }),
+        lastSuccessAt: nullable({ type: 'string', format: 'date-time' }),
+        lastFailureAt: nullable({ type: 'string', format: 'date-time' }),
+        lastFailure: nullable(object({ code: str, message: str })),
+      }),
+    },
+  }),
+  OpenApi: object({ openapi: str, info: { type: 'object' }, paths: { type: 'object' } }),
+  Video: object({
+    type: { type: 'string', enum: ['video'] },
+    id: str,
+    title: str,
+    url: str,
+    channel: CHANNEL_REF,
+    description: str,
+    duration: str,
+    durationSeconds: nullable(int),
+    views: nullable(int),
+    viewsText: str,
+    publishedAt: str,
+    publishedAtISO: nullable({ type: 'string', format: 'date-time' }),
+    isLive: bool,
+    thumbnails: THUMBNAILS,
+    renderer: str,
+  }),
+  Short: object({
+    type: { type: 'string', enum: ['short'] },
+    id: str,
+    title: str,
+    url: str,
+    views: nullable(int),
+    viewsText: str,
+    thumbnails: THUMBNAILS,
+    renderer: str,
+  }),
+  PlaylistItem: object({
+    type: { type: 'string', enum: ['playlist'] },
+    id: str,
+    title: str,
+    url: str,
+    channel: CHANNEL_REF,
+    videoCount: nullable(int),
+    thumbnails: THUMBNAILS,
+    renderer: str,
+  }),
+  ChannelItem: object({
+    type: { type: 'string', enum: ['channel'] },
+    id: str,
+    title: str,
+    url: str,
+    subscribers: nullable(int),
+    subscribersText: str,
+    videoCount: nullable(int),
+    thumbnails: THUMBNAILS,
+    renderer: str,
+  }),
+  SearchResult: object({
+    query: str,
+    estimatedResults: nullable(int),
+    items: list({ oneOf: [ref('Video'), ref('Short'), ref('PlaylistItem'), ref('ChannelItem')] }),
+    nextPageToken: nullable(
+      Object.assign({ description: 'Token of the next page; always null when `engine` is `innertube`.' }, str),
+    ),
+    engine: { type: 'string', enum: ['html', 'innertube'] },
+  }),
+  Suggestions: object({ query: str, suggestions: list(str) }),
+  Format: object({
+    itag: int,
+    url: nullable(str),
+    mimeType: nullable(str),
+    codecs: list(str),
+    hasVideo: bool,
+    hasAudio: bool,
+    bitrate: nullable(int),
+    averageBitrate: nullable(int),
+    width: nullable(int),
+    height: nullable(int),
+    resolution: nullable(str),
+    fps: nullable(int),
+    qualityLabel: nullable(str),
+    audioQuality: nullable(str),
+    audioSampleRate: nullable(int),
+    audioChannels: nullable(int),
+    contentLength: nullable(int),
+    approxDurationMs: nullable(int),
+    needsDecipher: bool,
+  }),
+  Formats: object({
+    videoId: str,
+    expiresInSeconds: nullable(int),
+    hlsManifestUrl: nullable(str),
+    dashManifestUrl: nullable(str),
+    muxed: list(ref('Format')),
+    adaptive: list(ref('Format')),
+  }),
+  Chapter: object({ title: str, startSeconds: int, endSeconds: nullable(int), thumbnails: THUMBNAILS }),
+  Chapters: object({
+    videoId: str,
+    source: nullable({ type: 'string', enum: ['markers', 'auto', 'description'] }),
+    chapters: list(ref('Chapter')),
+  }),
+  CaptionTrack: object({
+    languageCode: nullable(str),
+    name: nullable(str),
+    kind: nullable(str),
+    isAutoGenerated: bool,
+    isTranslatable: bool,
+    url: nullable(str),
+  }),
+  Captions: object({
+    videoId: str,
+    languageCode: str,
+    name: nullable(str),
+    isAutoGenerated: bool,
+    translatedFrom: nullable(str),
+    cues: list(
+      object({ start: num, duration: num, end: num, text: str, words: list(object({ text: str, start: num })) }),
+    ),
+  }),
+  VideoDetails: object({
+    type: { type: 'string', enum: ['video'] },
+    id: str,
+    title: nullable(str),
+    url: str,
+    description: nullable(str),
+    channel: CHANNEL_REF,
+    durationSeconds: nullable(int),
+    viewCount: nullable(int),
+    isLive: bool,
+    isShort: bool,
+    keywords: list(str),
+    thumbnails: THUMBNAILS,
+    publishDate: nullable(str),
+    uploadDate: nullable(str),
+    category: nullable(str),
+    captions: list(ref('CaptionTrack')),
+    formats: ref('Formats'),
+    chapters: list(ref('Chapter')),
+    related: list(ref('Video')),
+  }),
+  Comment: object({
+    id: str,
+    text: str,
+    author: object({
+      name: nullable(str),
+      id: nullable(str),
+      url: nullable(str),
+      thumbnails: THUMBNAILS,
+      isChannelOwner: bool,
+      isVerified: bool,
+    }),
+    likes: nullable(int),
+    likesText: str,
+    replyCount: int,
+    isPinned: bool,
+    isHearted: bool,
+    publishedAt: str,
+    publishedAtISO: nullable({ type: 'string', format: 'date-time' }),
+    repliesPageToken: nullable(str),
+  }),
+  Comments: object({
+    videoId: str,
+    commentCount: nullable(int),
+    comments: list(ref('Comment')),
+    continuationToken: nullable(str),
+  }),
+  CommentReplies: object({
+    videoId: str,
+    commentId: str,
+    replies: list(ref('Comment')),
+    continuationToken: nullable(str),
+  }),
+  Playlist: object({
+    type: { type: 'string', enum: ['playlist'] },
+    id: str,
+    title: nullable(str),
+    url: str,
+    description: nullable(str),
+    channel: CHANNEL_REF,
+    stats: list(str),
+    videoCount: nullable(int),
+    videos: list(
+      object({
+        id: str,
+        title: str,
+        url: str,
+        index: str,
+        duration: str,
+        durationSeconds: nullable(int),
+        channel: CHANNEL_REF,
+        thumbnails: THUMBNAILS,
+      }),
+    ),
+    continuationToken: nullable(str),
+  }),
+  Channel: object(
+    {
+      type: { type: 'string', enum: ['channel'] },
+      tab: str,
+      id: nullable(str),
+      title: nullable(str),
+      handle: nullable(str),
+      url: nullable(str),
+      description: nullable(str),
+      avatars: THUMBNAILS,
+      subscribers: nullable(int),
+      subscribersText: str,
+      videosCount: nullable(int),
+      about: { type: 'object' },
+      continuationToken: nullable(str),
+    },
+    { additionalProperties: { description: 'Items of the requested tab, under the tab name.', type: 'array' } },
+  ),
+  BatchOperation: object(
+    { op: str, id: str, q: str },
+    { required: ['op'], additionalProperties: { description: 'Options of the matching route.' } },
+  ),
+  BatchResult: object({
+    results: list(
+      object({
+        op: nullable(str),
+        ok: bool,
+        value: { description: 'Answer of the matching route.' },
+        error: ref('Error'),
+      }),
+    ),
+    succeeded: int,
+    failed: int,
+  }),
+};
+
+const SECURITY_SCHEMES = {
+  apiKeyHeader: { type: 'apiKey', in: 'header', name: 'x-api-key' },
+  apiKeyQuery: { type: 'apiKey', in: 'query', name: 'apiKey' },
+};
+
+const ERROR_RESPONSES = {
+  400: 'Invalid parameters.',
+  401: 'Missing or unknown API key, when API keys are enabled.',
+  404: 'Unknown video, playlist, channel or comment.',
+  429: 'Client rate limit or daily quota exceeded, or YouTube rate limited the service; see Retry-After.',
+  502: 'YouTube failed or answered something unparseable.',
+  503: 'Too many YouTube requests already running or queued in the service; retry shortly.',
+  504: 'YouTube did not answer in time.',
+};
+
+const toSchema = spec => {
+  if (spec.type === 'list') return { type: 'array', items: spec.enum ? { type: 'string', enum: spec.enum } : str };
+  if (spec.type === 'array') {
+    return { type: 'array', items: ref(spec.items), minItems: spec.minItems, maxItems: spec.maxItems };
+  }
+  const schema = { type: spec.type };
+  for (const key of ['enum', 'minimum', 'maximum', 'default']) if (spec[key] !== undefined) schema[key] = spec[key];
+  return schema;
+};
+
+const describeAliases = spec => {
+  if (!spec.aliases) return spec.description;
+  return `${spec.description} Also read from ${spec.aliases.map(x => `\`${x}\``).join(', ')}.`;
+};
+
+const toParameters = (location, specs) =>
+  Object.entries(specs || {}).map(([name, spec]) =>
+    Object.assign(
+      {
+        name,
+        in: location,
+        required: location === 'path' || !!spec.required,
+        description: describeAliases(spec),
+        schema: toSchema(spec),
+      },
+      spec.type === 'list' ? { style: 'form', explode: false } : {},
+    ),
+  );
+
+const toOperation = route => {
+  const operation = {
+    operationId: route.name,
+    summary: route.summary,
+    parameters: [...toParameters('path', route.params), ...toParameters('query', route.query)],
+    responses: {
+      200: route.response
+        ? { description: 'OK', content: { 'application/json': { schema: ref(route.response) } } }
+        : { description: 'OK', content: { [route.contentType]: { schema: str } } },
+    },
+  };
+  for (const [status, description] of Object.entries(route.statuses || {})) {
+    operation.responses[status] = Object.assign({}, operation.responses[200], { description });
+  }
+
+  if (route.body) {
+    const properties = {};
+    for (const [name, spec] of Object.entries(route.body)) {
+      properties[name] = Object.assign({ description: spec.description }, toSchema(spec));
+    }
+    const required = Object.keys(route.body).filter(name => route.body[name].required);
+    operation.requestBody = {
+      required: true,
+      content: { 'application/json': { schema: object(properties, required.length ? { required } : {}) } },
+    };
+  }
+
+  if (route.path.startsWith('/api/')) {
+    // Keys are optional unless the deployment requires them, hence the empty alternative.
+    operation.security = [{}, { apiKeyHeader: [] }, { apiKeyQuery: [] }];
+    for (const [status, description] of Object.entries(ERROR_RESPONSES)) {
+      operation.responses[status] = { description, content: { 'application/json': { schema: ref('Error') } } };
+    }
+  }
+  return operation;
+};
+
+exports.buildOpenApi = ({ serverUrl } = {}) => {
+  const paths = {};
+  for (const route of ROUTES) {
+    const path = route.path.replace(/\{(\w+)\*\}/g, '{$1}');
+    paths[path] = Object.assign(paths[path] || {}, { [route.method.toLowerCase()]: toOperation(route) });
+  }
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: 'YouTube scraping API',
+      version,
+      description: 'Search, videos, captions, comments, playlists and channels scraped from youtube.com.',
+    },
+    servers: serverUrl ? [{ url: serverUrl }] : [],
+    paths,
+    components: { schemas: SCHEMAS, securitySchemes: SECURITY_SCHEMES },
+  };
+};
+
+const escapeHtml = value =>
+  String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const describeParam = (location, name, spec) => {
+  const constraints = [
+    spec.required || location === 'path' ? 'required' : null,
+    spec.enum ? `one of ${spec.enum.join(', ')}` : null,
+    spec.minimum !== undefined ? `min ${spec.minimum}` : null,
+    spec.maximum !== undefined ? `max ${spec.maximum}` : null,
+    spec.default !== undefined ? `default ${spec.default}` : null,
+  ].filter(Boolean);
+  const notes = constraints.length ? ` <em>(${escapeHtml(constraints.join('; '))})</em>` : '';
+  return [
+    `<tr><td><code>${escapeHtml(name)}</code></td><td>${location}</td><td>${spec.type}</td>`,
+    `<td>${escapeHtml(describeAliases(spec) || '')}${notes}</td></tr>`,
+  ].join('');
+};
+
+const renderRoute = route => {
+  const params = [
+    ...Object.entries(route.params || {}).map(([name, spec]) => describeParam('path', name, spec)),
+    ...Object.entries(route.query || {}).map(([name, spec]) => describeParam('query', name, spec)),
+    ...Object.entries(route.body || {}).map(([name, spec]) => describeParam('body', name, spec)),
+  ];
+  return [
+    `<section id="${route.name}">`,
+    `<h2><code>${route.method} ${escapeHtml(route.path)}</code></h2>`,
+    `<p>${escapeHtml(route.summary)}</p>`,
+    route.example ? `<p>Example: <code>${escapeHtml(`${route.method} ${route.example}`)}</code></p>` : '',
+    params.length ? `<table><tr><th>Name</th><th>In</th><th>Type</th><th></th></tr>${params.join('')}</table>` : '',
+    route.response ? `<p>Answers <a href="/openapi.json"><code>${route.response}</code></a>.</p>` : '',
+    '</section>',
+  ].join('\n');
+};
+
+exports.renderDocs = () =>
+  [
+    '<!DOCTYPE html><html><head><meta charset="utf-8"><title>API docs</title>',
+    '<style>body{font-family:sans-serif;max-width:60em;margin:auto;padding:1em}',
+    'table{border-collapse:collapse}td,th{border:1px solid #ccc;padding:.3em;text-align:left}</style>',
+    '</head><body>',
+    '<h1>YouTube scraping API</h1>',
+    '<p>Errors answer <code>{ code, message, retryable, fields? }</code>; the full schemas are in ',
+    '<a href="/openapi.json">/openapi.json</a>.</p>',
+    ...ROUTES.map(renderRoute),
+    '</body></html>',
+  ].join('\n');
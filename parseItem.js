@@ -1,16 +1,18 @@
 const UTIL = require('./util');
+const NORMALIZE = require('./normalize');
 const BASE_VIDEO_URL = 'https://www.youtube.com/watch?v=';
 const URL = require('url').URL;
 
+// Items record the renderer they were parsed from.
 module.exports = item => {
   const type = Object.keys(item)[0];
   switch (type) {
     case 'videoRenderer':
-      return parseVideo(item[type]);
+      return Object.assign(parseVideo(item[type]), { renderer: type });
     case 'playlistRenderer':
-      return parsePlaylist(item[type]);
+      return Object.assign(parsePlaylist(item[type]), { renderer: type });
     case 'gridVideoRenderer':
-      return parseVideo(item[type]);
+      return Object.assign(parseVideo(item[type]), { renderer: type });
     default:
       return null;
   }
@@ -40,7 +42,9 @@ const parseVideo = obj => {
 
     description: UTIL.parseText(obj.descriptionSnippet),
 
-    views: !obj.viewCountText ? null : UTIL.parseIntegerFromText(obj.viewCountText),
+    // Abbreviated and localized counts ("1,2 M de vues") are approximate; the text is kept as is.
+    views: !obj.viewCountText ? null : NORMALIZE.parseCount(UTIL.parseText(obj.viewCountText)),
+    viewsText: UTIL.parseText(obj.viewCountText),
     // Duration not provided for live & sometimes with upcoming & sometimes randomly
     duration: UTIL.parseText(length),
     // UploadedAt not provided for live & upcoming & sometimes randomly
@@ -75,6 +79,7 @@ const parsePlaylist = obj => ({
   id: obj.playlistId,
   name: UTIL.parseText(obj.title),
   url: `https://www.youtube.com/playlist?list=${obj.playlistId}`,
+  thumbnails: UTIL.prepImg((obj.thumbnails && obj.thumbnails[0] && obj.thumbnails[0].thumbnails) || []),
 
   owner: _parseOwner(obj),
 
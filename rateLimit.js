@@ -0,0 +1,148 @@
+// Client throttling for the HTTP API. Every caller, an API key or the client IP when no key is
+// sent, gets a token bucket (`rate` tokens per second, up to `burst`) and a daily quota of
+// requests per UTC day. The keys come from a json file:
+//
+//   {
+//     "anonymous": { "rate": 1, "burst": 20, "dailyQuota": 2000 },
+//     "keys": [{ "key": "s3cret", "name": "partner-a", "rate": 10, "burst": 50, "dailyQuota": 100000 }]
+//   }
+//
+// `"anonymous": null` requires a key on every call; a `dailyQuota` of 0 means no quota.
+
+const FS = require('fs');
+const { RateLimitedError, UnauthorizedError } = require('./errors');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_ANONYMOUS_LIMITS = { rate: 1, burst: 20, dailyQuota: 2000 };
+const DEFAULT_KEY_LIMITS = { rate: 5, burst: 50, dailyQuota: 50000 };
+// Idle anonymous clients are forgotten once this many are tracked.
+const MAX_TRACKED_CLIENTS = 10000;
+
+const toLimits = (spec, defaults, where) => {
+  const limits = Object.assign({}, defaults);
+  for (const name of Object.keys(defaults)) {
+    if (spec[name] === undefined) continue;
+    const value = Number(spec[name]);
+    const valid = name === 'dailyQuota' ? Number.isInteger(value) && value >= 0 : value > 0;
+    if (!valid) throw new Error(`${where}: invalid ${name} ${JSON.stringify(spec[name])}`);
+    limits[name] = value;
+  }
+  return limits;
+};
+
+// Validates a parsed config; throws on anything that would silently weaken a limit.
+exports.parseConfig = (config = {}) => {
+  const keys = new Map();
+  for (const [i, entry] of (config.keys || []).entries()) {
+    if (!entry || typeof entry.key !== 'string' || !entry.key) throw new Error(`keys[${i}]: key is required`);
+    if (keys.has(entry.key)) throw new Error(`keys[${i}]: duplicate key`);
+    keys.set(entry.key, {
+      name: entry.name || `key-${i + 1}`,
+      limits: toLimits(entry, DEFAULT_KEY_LIMITS, `keys[${i}]`),
+    });
+  }
+  const anonymous =
+    config.anonymous === null ? null : toLimits(config.anonymous || {}, DEFAULT_ANONYMOUS_LIMITS, 'anonymous');
+  return { keys, anonymous };
+};
+
+exports.loadConfig = file => {
+  let config;
+  try {
+    config = JSON.parse(FS.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`unable to read api keys from ${file}: ${error.message}`);
+  }
+  return exports.parseConfig(config);
+};
+
+const nextUtcMidnight = time => (Math.floor(time / DAY_MS) + 1) * DAY_MS;
+
+exports.createLimiter = ({ keys = new Map(), anonymous = DEFAULT_ANONYMOUS_LIMITS, now = Date.now } = {}) => {
+  const clients = new Map();
+
+  const refill = (state, limits, time) => {
+    state.tokens = Math.min(limits.burst, state.tokens + ((time - state.updatedAt) / 1000) * limits.rate);
+    state.updatedAt = time;
+    const day = Math.floor(time / DAY_MS);
+    if (state.day !== day) {
+      state.day = day;
+      state.used = 0;
+    }
+  };
+
+  const forgetIdleClients = time => {
+    for (const [id, state] of clients) {
+      if (!id.startsWith('ip:')) continue;
+      refill(state, state.limits, time);
+      if (state.tokens >= state.limits.burst && !state.used) clients.delete(id);
+    }
+  };
+
+  const stateOf = (client, time) => {
+    let state = clients.get(client.id);
+    if (!state) {
+      if (clients.size >= MAX_TRACKED_CLIENTS) forgetIdleClients(time);
+      state = { limits: client.limits, tokens: client.limits.burst, updatedAt: time, day: null, used: 0 };
+      clients.set(client.id, state);
+    }
+    refill(state, client.limits, time);
+    return state;
+  };
+
+  const headersOf = (state, limits, time) => {
+    const headers = {
+      'x-ratelimit-limit': String(limits.burst),
+      'x-ratelimit-remaining': String(Math.floor(state.tokens)),
+      'x-ratelimit-reset': String(Math.ceil((limits.burst - state.tokens) / limits.rate)),
+    };
+    if (limits.dailyQuota) {
+      headers['x-ratelimit-quota-limit'] = String(limits.dailyQuota);
+      headers['x-ratelimit-quota-remaining'] = String(Math.max(0, limits.dailyQuota - state.used));
+      headers['x-ratelimit-quota-reset'] = String(Math.ceil((nextUtcMidnight(time) - time) / 1000));
+    }
+    return headers;
+  };
+
+  return {
+    // Tells who is calling: { id, name, limits }. Unknown keys are always refused.
+    identify: (apiKey, ip) => {
+      if (apiKey) {
+        const entry = keys.get(apiKey);
+        if (!entry) throw new UnauthorizedError('invalid api key', { code: 'invalid_api_key' });
+        return { id: `key:${apiKey}`, name: entry.name, limits: entry.limits };
+      }
+      if (!anonymous) throw new UnauthorizedError('an api key is required (x-api-key header or apiKey query)');
+      return { id: `ip:${ip}`, name: null, limits: anonymous };
+    },
+
+    // Takes `cost` requests from the client's bucket and quota. Returns the X-RateLimit-*
+    // headers and, when a limit is exceeded, the error to answer with; nothing is taken then.
+    // A cost above the burst is capped, so large batches stay possible on a full bucket.
+    consume: (client, cost = 1) => {
+      const time = now();
+      const { limits } = client;
+      const state = stateOf(client, time);
+      const tokens = Math.min(cost, limits.burst);
+
+      let error = null;
+      if (limits.dailyQuota && state.used + cost > limits.dailyQuota) {
+        error = new RateLimitedError(`daily quota of ${limits.dailyQuota} requests exceeded`, {
+          code: 'quota_exceeded',
+          retryAfter: Math.ceil((nextUtcMidnight(time) - time) / 1000),
+        });
+      } else if (state.tokens < tokens) {
+        error = new RateLimitedError('too many requests', {
+          retryAfter: Math.ceil((tokens - state.tokens) / limits.rate),
+        });
+      } else {
+        state.tokens -= tokens;
+        state.used += cost;
+      }
+      return { headers: headersOf(state, limits, time), error };
+    },
+  };
+};
+
+exports.DEFAULT_ANONYMOUS_LIMITS = DEFAULT_ANONYMOUS_LIMITS;
+exports.DEFAULT_KEY_LIMITS = DEFAULT_KEY_LIMITS;
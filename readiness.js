@@ -0,0 +1,111 @@
+// Readiness canaries: a known search and a known video are scraped on a timer, and the service
+// is ready only while every extractor still finds the fields it should. /health only says the
+// process is up; this says whether YouTube's pages still parse.
+
+const searchYoutube = require('./youtubeSearch');
+const { getVideoDetails } = require('./youtubeResources');
+const { ParseError, recordParseFailure } = require('./errors');
+
+const DEFAULT_INTERVAL_MS = 5 * 60 * 1000;
+
+const pick = (value, path) =>
+  path.split('.').reduce((x, key) => (x === null || x === undefined ? undefined : x[key]), value);
+
+const isMissing = value =>
+  value === undefined || value === null || value === '' || (Array.isArray(value) && !value.length);
+
+// A canary is { name, run, fields }: `run()` resolves with an answer that must hold every field.
+exports.buildCanaries = ({ query, videoId }) => [
+  {
+    name: 'search',
+    run: () => searchYoutube(query, { type: 'video', limit: 5 }),
+    fields: ['items', 'items.0.id', 'items.0.title', 'items.0.url'],
+  },
+  {
+    name: 'video',
+    run: () => getVideoDetails(videoId, { relatedLimit: 1 }),
+    fields: ['id', 'title', 'channel.id', 'durationSeconds', 'formats.adaptive'],
+  },
+];
+
+const toIso = time => (time === null ? null : new Date(time).toISOString());
+
+exports.createReadiness = ({ checks, intervalMs = DEFAULT_INTERVAL_MS, now = Date.now }) => {
+  const states = new Map(
+    checks.map(check => [
+      check.name,
+      { ok: null, durationMs: null, lastRunAt: null, lastSuccessAt: null, lastFailureAt: null, lastFailure: null },
+    ]),
+  );
+  let checkedAt = null;
+  let running = null;
+  let timer = null;
+
+  const runCheck = async check => {
+    const state = states.get(check.name);
+    const startedAt = now();
+    try {
+      const answer = await check.run();
+      const missing = check.fields.filter(path => isMissing(pick(answer, path)));
+      if (missing.length) {
+        throw new ParseError(`canary answer is missing ${missing.join(', ')}`, { extractor: check.name });
+      }
+      state.ok = true;
+      state.lastSuccessAt = now();
+    } catch (error) {
+      recordParseFailure(error);
+      state.ok = false;
+      state.lastFailureAt = now();
+      state.lastFailure = {
+        code: (error && error.code) || 'internal_error',
+        message: String((error && error.message) || error),
+      };
+    }
+    state.lastRunAt = startedAt;
+    state.durationMs = now() - startedAt;
+  };
+
+  const describe = state =>
+    Object.assign({}, state, {
+      lastRunAt: toIso(state.lastRunAt),
+      lastSuccessAt: toIso(state.lastSuccessAt),
+      lastFailureAt: toIso(state.lastFailureAt),
+    });
+
+  const report = () => ({
+    ready: checkedAt !== null && [...states.values()].every(x => x.ok === true),
+    checkedAt: toIso(checkedAt),
+    checks: Object.fromEntries([...states].map(([name, state]) => [name, describe(state)])),
+  });
+
+  // Concurrent callers share the run in progress; a failing canary never rejects.
+  const runChecks = () => {
+    if (!running) {
+      running = Promise.all(checks.map(runCheck)).then(() => {
+        checkedAt = now();
+        running = null;
+      });
+    }
+    return running.then(report);
+  };
+
+  return {
+    runChecks,
+    report,
+    // Resolves with the last report. Only the very first call runs the canaries (once, shared by
+    // concurrent callers); after that only the timer does, so /ready never triggers a scrape.
+    get: () => (checkedAt === null ? runChecks() : Promise.resolve(report())),
+    start: () => {
+      if (timer || !(intervalMs > 0)) return;
+      runChecks();
+      timer = setInterval(runChecks, intervalMs);
+      timer.unref();
+    },
+    stop: () => {
+      clearInterval(timer);
+      timer = null;
+    },
+  };
+};
+
+exports.DEFAULT_INTERVAL_MS = DEFAULT_INTERVAL_MS;
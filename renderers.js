@@ -0,0 +1,173 @@
+// Helpers for watch, search and browse pages and the renderer objects found in ytInitialData and
+// innertube answers, shared by the search, resources and lockupViewModel parsers.
+
+const NORMALIZE = require('./normalize');
+
+const YT_BASE_URL = 'https://www.youtube.com';
+const DEFAULT_CLIENT_VERSION = '2.20240606.06.00';
+
+const walk = (node, fn) => {
+  if (!node || typeof node !== 'object') return;
+  fn(node);
+  if (Array.isArray(node)) {
+    for (const value of node) walk(value, fn);
+    return;
+  }
+  for (const value of Object.values(node)) walk(value, fn);
+};
+
+const collectByRendererKey = (root, rendererKey) => {
+  const out = [];
+  walk(root, node => {
+    if (Object.prototype.hasOwnProperty.call(node, rendererKey)) out.push(node[rendererKey]);
+  });
+  return out;
+};
+
+// Collects several renderer kinds in document order. Items record the renderer they were
+// parsed from, so layout changes show up in responses; parsers may return null to skip one.
+const collectItems = (root, parsers) => {
+  const out = [];
+  walk(root, node => {
+    for (const key of Object.keys(parsers)) {
+      if (!Object.prototype.hasOwnProperty.call(node, key)) continue;
+      const item = parsers[key](node[key]);
+      if (item) out.push(Object.assign(item, { renderer: key }));
+    }
+  });
+  return out;
+};
+
+const extractJsonObject = (html, marker) => {
+  const markerIndex = html.indexOf(marker);
+  if (markerIndex === -1) return null;
+
+  const start = html.indexOf('{', markerIndex + marker.length);
+  if (start === -1) return null;
+
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+
+  for (let i = start; i < html.length; i++) {
+    const ch = html[i];
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (ch === '\\') escaped = true;
+      else if (ch === '"') inString = false;
+      continue;
+    }
+
+    if (ch === '"') {
+      inString = true;
+      continue;
+    }
+
+    if (ch === '{') depth += 1;
+    else if (ch === '}') {
+      depth -= 1;
+      if (depth === 0) {
+        const raw = html.slice(start, i + 1);
+        try {
+          return JSON.parse(raw);
+        } catch (_) {
+          return null;
+        }
+      }
+    }
+  }
+
+  return null;
+};
+
+const extractInitialData = html =>
+  extractJsonObject(html, 'var ytInitialData = ') ||
+  extractJsonObject(html, 'window["ytInitialData"] = ') ||
+  extractJsonObject(html, 'ytInitialData = ');
+
+const extractClientVersion = html => {
+  const match =
+    html.match(/"INNERTUBE_CONTEXT_CLIENT_VERSION":"([^"]+)"/) ||
+    html.match(/"innertube_context_client_version":"([^"]+)"/);
+  return match ? match[1] : DEFAULT_CLIENT_VERSION;
+};
+
+// Continuations either carry the command directly or wrap it in a commandExecutorCommand.
+const extractContinuationToken = root => {
+  const renderers = collectByRendererKey(root, 'continuationItemRenderer');
+  for (let i = renderers.length - 1; i >= 0; i--) {
+    const commands = collectByRendererKey(renderers[i], 'continuationCommand');
+    const command = commands.find(x => x && x.token);
+    if (command) return command.token;
+  }
+  return null;
+};
+
+const parseText = value => {
+  if (!value) return '';
+  if (typeof value === 'string') return value;
+  if (typeof value.simpleText === 'string') return value.simpleText;
+  if (Array.isArray(value.runs)) return value.runs.map(x => x.text || '').join('');
+  return '';
+};
+
+// View models carry their text in `content` instead of simpleText/runs.
+const parseViewModelText = value => {
+  if (value && typeof value === 'object' && typeof value.content === 'string') return value.content;
+  return parseText(value);
+};
+
+const parseCount = value => NORMALIZE.parseCount(parseText(value));
+
+const normalizeThumbs = thumbObj => {
+  const thumbs = Array.isArray(thumbObj && thumbObj.thumbnails) ? [...thumbObj.thumbnails] : [];
+  thumbs.sort((a, b) => (b.width || 0) - (a.width || 0));
+  return thumbs.map(t => ({
+    url: t.url || null,
+    width: t.width || null,
+    height: t.height || null,
+  }));
+};
+
+// Shorts come as reelItemRenderer or, in the newer layout, shortsLockupViewModel.
+const parseReelItem = renderer => ({
+  id: renderer.videoId || null,
+  title: parseText(renderer.headline),
+  url: renderer.videoId ? `${YT_BASE_URL}/shorts/${renderer.videoId}` : null,
+  views: parseCount(renderer.viewCountText),
+  viewsText: parseText(renderer.viewCountText),
+  thumbnails: normalizeThumbs(renderer.thumbnail),
+});
+
+const parseShortsLockup = viewModel => {
+  const onTap = viewModel.onTap && viewModel.onTap.innertubeCommand;
+  const videoId =
+    onTap && onTap.reelWatchEndpoint
+      ? onTap.reelWatchEndpoint.videoId || null
+      : String(viewModel.entityId || '').replace(/^shorts-shelf-item-/, '') || null;
+  const overlay = viewModel.overlayMetadata || {};
+
+  return {
+    id: videoId,
+    title: parseViewModelText(overlay.primaryText),
+    url: videoId ? `${YT_BASE_URL}/shorts/${videoId}` : null,
+    views: parseCount(parseViewModelText(overlay.secondaryText)),
+    viewsText: parseViewModelText(overlay.secondaryText),
+    thumbnails: normalizeThumbs({ thumbnails: viewModel.thumbnail && viewModel.thumbnail.sources }),
+  };
+};
+
+exports.walk = walk;
+exports.collectByRendererKey = collectByRendererKey;
+exports.collectItems = collectItems;
+exports.extractJsonObject = extractJsonObject;
+exports.extractInitialData = extractInitialData;
+exports.extractClientVersion = extractClientVersion;
+exports.extractContinuationToken = extractContinuationToken;
+exports.parseText = parseText;
+exports.parseViewModelText = parseViewModelText;
+exports.parseCount = parseCount;
+exports.normalizeThumbs = normalizeThumbs;
+exports.parseReelItem = parseReelItem;
+exports.parseShortsLockup = parseShortsLockup;
+exports.DEFAULT_CLIENT_VERSION = DEFAULT_CLIENT_VERSION;
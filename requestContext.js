@@ -0,0 +1,17 @@
+// Per-request state that follows a request through every await, so library code deep in the
+// call stack (upstream.js) can attach what it did to the API request that caused it.
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const storage = new AsyncLocalStorage();
+
+// Runs `fn` with `context` as the current context: { requestId, upstream: [] } for API requests.
+exports.run = (context, fn) => storage.run(context, fn);
+
+exports.current = () => storage.getStore() || null;
+
+// Records one upstream call on the current request, if there is one.
+exports.traceUpstream = call => {
+  const context = storage.getStore();
+  if (context && Array.isArray(context.upstream)) context.upstream.push(call);
+};
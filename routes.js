@@ -0,0 +1,420 @@
+// Every API route, declared once. The table drives request validation in server.js, the
+// OpenAPI document at /openapi.json, the docs page at /docs and the route list of 404s.
+//
+// Paths use {name} for one segment and {name*} for the rest of the path (ids may hold slashes).
+// Parameters are { type, description, required, enum, minimum, maximum, aliases, default }, with
+// type one of string, integer, boolean, list (comma-separated in queries) and array (bodies only).
+// `statuses` documents answers other than 200 that carry the same body as the 200, and
+// `cost(params)` is how many requests a call counts for in client rate limits (default 1).
+
+const { SEARCH_TYPES, SEARCH_ENGINES } = require('./youtubeSearch');
+const { SEARCH_FILTERS } = require('./searchFilters');
+const { CAPTION_FORMATS } = require('./captions');
+const { CHANNEL_TABS, COMMENT_SORTS } = require('./youtubeResources');
+const { BATCH_OPERATIONS, MAX_BATCH_OPERATIONS, MAX_BATCH_CONCURRENCY } = require('./batch');
+const { ValidationError } = require('./errors');
+
+const LOCALE = {
+  hl: { type: 'string', description: 'Interface language of the YouTube answer, e.g. `fr` (the default) or `en`.' },
+  gl: { type: 'string', description: 'Region of the YouTube answer, e.g. `FR` (the default) or `US`.' },
+};
+const PAGE_TOKEN = { type: 'string', description: 'Continuation token returned by the previous page.' };
+const VIDEO_ID = { type: 'string', description: 'Video id, or a watch, youtu.be or /shorts/ url.' };
+
+const SEARCH_PARAMS = Object.assign(
+  {
+    q: { type: 'string', aliases: ['query'], description: 'Search terms; required unless `pageToken` is set.' },
+    type: { type: 'string', enum: SEARCH_TYPES, default: 'video', description: 'Kind of results to keep.' },
+    limit: { type: 'integer', minimum: 1, default: 10, description: 'Number of items to return.' },
+    pageToken: { type: 'string', description: 'The `nextPageToken` of a previous search.' },
+    sort: { type: 'string', enum: SEARCH_FILTERS.sort, description: 'Result order.' },
+    uploadDate: { type: 'string', enum: SEARCH_FILTERS.uploadDate, description: 'Upload date filter.' },
+    duration: { type: 'string', enum: SEARCH_FILTERS.duration, description: 'Duration filter.' },
+    features: { type: 'list', enum: SEARCH_FILTERS.features, description: 'Feature filters, comma-separated.' },
+    engine: {
+      type: 'string',
+      enum: SEARCH_ENGINES,
+      default: 'auto',
+      description: 'Scraper to use. `innertube` answers a single page: its `nextPageToken` is always null.',
+    },
+  },
+  LOCALE,
+);
+
+const ROUTES = [
+  {
+    name: 'health',
+    method: 'GET',
+    path: '/health',
+    summary: 'Liveness check.',
+    response: 'Health',
+  },
+  {
+    name: 'ready',
+    method: 'GET',
+    path: '/ready',
+    summary: 'Readiness check: canary scrapes prove the search and video extractors still work.',
+    response: 'Readiness',
+    statuses: { 503: 'A canary failed; the body is the same report.' },
+  },
+  {
+    name: 'openapi',
+    method: 'GET',
+    path: '/openapi.json',
+    summary: 'This API described as an OpenAPI 3 document.',
+    response: 'OpenApi',
+  },
+  {
+    name: 'metrics',
+    method: 'GET',
+    path: '/metrics',
+    summary: 'Request, upstream, parse-failure and cache metrics in the Prometheus text format.',
+    contentType: 'text/plain',
+  },
+  {
+    name: 'docs',
+    method: 'GET',
+    path: '/docs',
+    summary: 'Human-readable documentation of every route.',
+    contentType: 'text/html',
+  },
+  {
+    name: 'search_get',
+    method: 'GET',
+    path: '/api/search',
+    summary: 'Searches videos, shorts, playlists and channels.',
+    query: SEARCH_PARAMS,
+    requireOneOf: ['q', 'pageToken'],
+    response: 'SearchResult',
+    example: '/api/search?q=booba&type=video&limit=5',
+  },
+  {
+    name: 'search_post',
+    method: 'POST',
+    path: '/api/search',
+    summary: 'Same as GET /api/search, with the parameters in a json body.',
+    body: SEARCH_PARAMS,
+    requireOneOf: ['q', 'pageToken'],
+    response: 'SearchResult',
+    example: '/api/search {"q":"booba","type":"video","limit":5}',
+  },
+  {
+    name: 'suggest',
+    method: 'GET',
+    path: '/api/suggest',
+    summary: 'Autocomplete suggestions for partial search terms.',
+    query: Object.assign(
+      {
+        q: { type: 'string', required: true, description: 'Partial search terms.' },
+        limit: { type: 'integer', minimum: 1, default: 10, description: 'Number of suggestions to return.' },
+      },
+      LOCALE,
+    ),
+    response: 'Suggestions',
+    example: '/api/suggest?q=boo&hl=fr&gl=FR',
+  },
+  {
+    name: 'batch',
+    method: 'POST',
+    path: '/api/batch',
+    summary: 'Runs several operations in one call; each one succeeds or fails on its own.',
+    body: {
+      operations: {
+        type: 'array',
+        required: true,
+        minItems: 1,
+        maxItems: MAX_BATCH_OPERATIONS,
+        items: 'BatchOperation',
+        description: `Operations to run, each { op, id or q, options }; op is one of ${BATCH_OPERATIONS.join(', ')}.`,
+      },
+      concurrency: {
+        type: 'integer',
+        minimum: 1,
+        maximum: MAX_BATCH_CONCURRENCY,
+        default: 4,
+        description: 'Operations running at the same time.',
+      },
+    },
+    cost: params => params.operations.length,
+    response: 'BatchResult',
+    example: '/api/batch {"operations":[{"op":"video","id":"dQw4w9WgXcQ"}],"concurrency":4}',
+  },
+  {
+    name: 'video_captions',
+    method: 'GET',
+    path: '/api/video/{id}/captions/{lang}',
+    summary: 'Caption cues in a language, translated by YouTube when no track exists for it.',
+    params: { id: VIDEO_ID, lang: { type: 'string', description: 'Language code, e.g. `en` or `pt-BR`.' } },
+    query: Object.assign(
+      { format: { type: 'string', enum: CAPTION_FORMATS, default: 'json', description: 'Representation.' } },
+      LOCALE,
+    ),
+    response: 'Captions',
+    example: '/api/video/dQw4w9WgXcQ/captions/en?format=vtt',
+  },
+  {
+    name: 'video_formats',
+    method: 'GET',
+    path: '/api/video/{id}/formats',
+    summary: 'Muxed and adaptive stream formats.',
+    params: { id: VIDEO_ID },
+    query: Object.assign(
+      {
+        audioOnly: { type: 'boolean', description: 'Keep audio-only formats.' },
+        videoOnly: { type: 'boolean', description: 'Keep video-only formats.' },
+      },
+      LOCALE,
+    ),
+    response: 'Formats',
+    example: '/api/video/dQw4w9WgXcQ/formats?audioOnly',
+  },
+  {
+    name: 'video_chapters',
+    method: 'GET',
+    path: '/api/video/{id}/chapters',
+    summary: 'Chapters from the chapter panels, or from timestamps in the description.',
+    params: { id: VIDEO_ID },
+    query: LOCALE,
+    response: 'Chapters',
+    example: '/api/video/dQw4w9WgXcQ/chapters',
+  },
+  {
+    name: 'comment_replies',
+    method: 'GET',
+    path: '/api/video/{id}/comments/{commentId}/replies',
+    summary: 'Replies to a comment thread.',
+    params: { id: VIDEO_ID, commentId: { type: 'string', description: 'Id of the top-level comment.' } },
+    query: Object.assign({ pageToken: PAGE_TOKEN }, LOCALE),
+    response: 'CommentReplies',
+    example: '/api/video/dQw4w9WgXcQ/comments/UgxKREWxIgDrw8w2e_Z4AaABAg/replies',
+  },
+  {
+    name: 'video_comments',
+    method: 'GET',
+    path: '/api/video/{id}/comments',
+    summary: 'Top-level comments of a video.',
+    params: { id: VIDEO_ID },
+    query: Object.assign(
+      {
+        sort: { type: 'string', enum: COMMENT_SORTS, default: 'top', description: 'Comment order.' },
+        pageToken: PAGE_TOKEN,
+      },
+      LOCALE,
+    ),
+    response: 'Comments',
+    example: '/api/video/dQw4w9WgXcQ/comments?sort=new',
+  },
+  {
+    name: 'video_get',
+    method: 'GET',
+    path: '/api/video/{id*}',
+    summary: 'Video details, captions tracks, formats, chapters and related videos.',
+    params: { id: VIDEO_ID },
+    query: Object.assign(
+      { relatedLimit: { type: 'integer', minimum: 1, default: 10, description: 'Number of related videos.' } },
+      LOCALE,
+    ),
+    response: 'VideoDetails',
+    example: '/api/video/dQw4w9WgXcQ?relatedLimit=5',
+  },
+  {
+    name: 'playlist_get',
+    method: 'GET',
+    path: '/api/playlist/{id*}',
+    summary: 'Playlist metadata and videos.',
+    params: { id: { type: 'string', description: 'Playlist id or url.' } },
+    query: Object.assign(
+      {
+        limit: { type: 'integer', minimum: 1, default: 100, description: 'Number of videos to return.' },
+        pageToken: PAGE_TOKEN,
+        all: { type: 'boolean', description: 'Follow continuations until the whole playlist is read.' },
+      },
+      LOCALE,
+    ),
+    response: 'Playlist',
+    example: '/api/playlist/PLrAXtmErZgOeiKm4sgNOknGvNjby9efdf?limit=100',
+  },
+  {
+    name: 'channel_tab',
+    method: 'GET',
+    path: '/api/channel/{id*}/{tab}',
+    summary: 'One tab of a channel.',
+    params: {
+      id: { type: 'string', description: 'Channel id, @handle or url.' },
+      tab: { type: 'string', enum: CHANNEL_TABS, description: 'Channel tab.' },
+    },
+    query: Object.assign(
+      { limit: { type: 'integer', minimum: 1, default: 30, description: 'Number of items.' }, pageToken: PAGE_TOKEN },
+      LOCALE,
+    ),
+    response: 'Channel',
+    example: '/api/channel/@booba/shorts',
+  },
+  {
+    name: 'channel_get',
+    method: 'GET',
+    path: '/api/channel/{id*}',
+    summary: 'Channel metadata and its latest videos.',
+    params: { id: { type: 'string', description: 'Channel id, @handle or url.' } },
+    query: Object.assign(
+      { limit: { type: 'integer', minimum: 1, default: 30, description: 'Number of items.' }, pageToken: PAGE_TOKEN },
+      LOCALE,
+    ),
+    response: 'Channel',
+    example: '/api/channel/UCWeg2Pkate69NFdBeuRFTAw?limit=30',
+  },
+];
+
+const compilePath = path =>
+  path
+    .split('/')
+    .filter(Boolean)
+    .map(segment => {
+      const match = segment.match(/^\{(\w+)(\*?)\}$/);
+      return match ? { param: match[1], rest: !!match[2] } : { literal: segment };
+    });
+
+for (const route of ROUTES) route.segments = compilePath(route.path);
+
+// Path parameters stay raw (still percent-encoded) until validation decodes them.
+const matchSegments = (route, parts) => {
+  const { segments } = route;
+  const extra = parts.length - segments.length;
+  if (segments.some(x => x.rest) ? extra < 0 : extra !== 0) return null;
+
+  const params = {};
+  let index = 0;
+  for (const segment of segments) {
+    const taken = parts.slice(index, index + (segment.rest ? extra + 1 : 1));
+    index += taken.length;
+    if (segment.literal !== undefined) {
+      if (taken[0] !== segment.literal) return null;
+      continue;
+    }
+    // A path parameter with an enum selects the route rather than failing validation.
+    const spec = route.params[segment.param];
+    if (spec.enum && !spec.enum.includes(taken[0])) return null;
+    params[segment.param] = taken.join('/');
+  }
+  return params;
+};
+
+// Resolves to { route, pathParams } for the first route matching, or null.
+exports.matchRoute = (method, pathname) => {
+  const parts = pathname.split('/').filter(Boolean);
+  for (const route of ROUTES) {
+    if (route.method !== method) continue;
+    const pathParams = matchSegments(route, parts);
+    if (pathParams) return { route, pathParams };
+  }
+  return null;
+};
+
+const FLAGS = { '': true, true: true, 1: true, false: false, 0: false };
+
+// Returns { value } or { error }; query values are always strings, body values keep their json type.
+const coerce = (spec, raw, fromQuery) => {
+  if (spec.type === 'integer') {
+    const value = typeof raw === 'number' || (typeof raw === 'string' && raw.trim()) ? Number(raw) : NaN;
+    if (!Number.isInteger(value)) return { error: 'must be an integer' };
+    if (spec.minimum !== undefined && value < spec.minimum) return { error: `must be at least ${spec.minimum}` };
+    if (spec.maximum !== undefined && value > spec.maximum) return { error: `must be at most ${spec.maximum}` };
+    return { value };
+  }
+
+  if (spec.type === 'boolean') {
+    if (typeof raw === 'boolean') return { value: raw };
+    if (fromQuery && Object.prototype.hasOwnProperty.call(FLAGS, raw)) return { value: FLAGS[raw] };
+    return { error: fromQuery ? 'must be true, false, 1 or 0' : 'must be a boolean' };
+  }
+
+  if (spec.type === 'list') {
+    const list = Array.isArray(raw) ? raw : typeof raw === 'string' ? raw.split(',') : null;
+    if (!list || list.some(x => typeof x !== 'string')) return { error: 'must be a list of strings' };
+    const value = list.map(x => x.trim()).filter(Boolean);
+    const unknown = spec.enum ? value.filter(x => !spec.enum.includes(x)) : [];
+    if (unknown.length) return { error: `has unknown values ${unknown.join(', ')}: use ${spec.enum.join(', ')}` };
+    return { value };
+  }
+
+  if (spec.type === 'array') {
+    if (!Array.isArray(raw)) return { error: 'must be an array' };
+    if (spec.minItems !== undefined && raw.length < spec.minItems) {
+      return { error: `needs at least ${spec.minItems} items` };
+    }
+    if (spec.maxItems !== undefined && raw.length > spec.maxItems) {
+      return { error: `takes at most ${spec.maxItems} items` };
+    }
+    return { value: raw };
+  }
+
+  if (typeof raw !== 'string') return { error: 'must be a string' };
+  if (spec.enum && !spec.enum.includes(raw)) return { error: `must be one of ${spec.enum.join(', ')}` };
+  return { value: raw };
+};
+
+// An empty query value reads as missing, except for flags (`?audioOnly`).
+const readQuery = (query, name, spec) => {
+  for (const key of [name, ...(spec.aliases || [])]) {
+    const value = query.get(key);
+    if (value !== null && (value !== '' || spec.type === 'boolean')) return value;
+  }
+  return undefined;
+};
+
+const readBody = (body, name, spec) => {
+  for (const key of [name, ...(spec.aliases || [])]) {
+    if (body[key] !== undefined && body[key] !== null && body[key] !== '') return body[key];
+  }
+  return undefined;
+};
+
+// Resolves to the typed parameters of a request, or throws a ValidationError listing every bad one.
+exports.validateRequest = (route, { pathParams = {}, query, body } = {}) => {
+  const values = {};
+  const fields = [];
+
+  const check = (location, specs, read) => {
+    for (const [name, spec] of Object.entries(specs || {})) {
+      const raw = read(name, spec);
+      if (raw === undefined) {
+        if (spec.required) fields.push({ name, in: location, message: 'is required' });
+        continue;
+      }
+      const result = coerce(spec, raw, location !== 'body');
+      if (result.error) fields.push({ name, in: location, message: result.error });
+      else values[name] = result.value;
+    }
+  };
+
+  check('path', route.params, name => {
+    try {
+      return decodeURIComponent(pathParams[name]);
+    } catch (_) {
+      fields.push({ name, in: 'path', message: 'is not valid percent-encoding' });
+      return undefined;
+    }
+  });
+  check('query', route.query, (name, spec) => readQuery(query, name, spec));
+  if (route.body) {
+    const source = body && typeof body === 'object' && !Array.isArray(body) ? body : {};
+    if (source !== body) fields.push({ name: 'body', in: 'body', message: 'must be a json object' });
+    check('body', route.body, (name, spec) => readBody(source, name, spec));
+  }
+
+  // Skipped when one of the fields was given but invalid: that error is already listed.
+  const given = name => values[name] !== undefined || fields.some(x => x.name === name);
+  if (route.requireOneOf && !route.requireOneOf.some(given)) {
+    const [name, ...others] = route.requireOneOf;
+    fields.push({
+      name,
+      in: route.body ? 'body' : 'query',
+      message: `is required unless ${others.join(' or ')} is set`,
+    });
+  }
+
+  if (fields.length) throw new ValidationError(fields);
+  return values;
+};
+
+exports.ROUTES = ROUTES;
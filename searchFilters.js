@@ -0,0 +1,78 @@
+// Named search filters encoded into YouTube's `sp` parameter, a base64 protobuf:
+//   message SearchParams { int32 sort = 1; Filters filters = 2; }
+//   message Filters { int32 uploadDate = 1; int32 type = 2; int32 duration = 3; bool hd = 4; ... }
+
+const { BadRequestError } = require('./errors');
+
+const SORT = { relevance: 0, rating: 1, date: 2, views: 3 };
+const UPLOAD_DATE = { hour: 1, today: 2, week: 3, month: 4, year: 5 };
+const DURATION = { short: 1, long: 2, medium: 3 };
+const FEATURES = {
+  hd: 4,
+  subtitles: 5,
+  creativeCommons: 6,
+  '3d': 7,
+  live: 8,
+  '4k': 14,
+  '360': 15,
+  location: 23,
+  hdr: 25,
+  vr180: 26,
+};
+
+const encodeVarint = value => {
+  const bytes = [];
+  let n = value;
+  while (n > 0x7f) {
+    bytes.push((n & 0x7f) | 0x80);
+    n >>>= 7;
+  }
+  bytes.push(n);
+  return bytes;
+};
+
+const varintField = (field, value) => [...encodeVarint(field << 3), ...encodeVarint(value)];
+const messageField = (field, bytes) => [...encodeVarint((field << 3) | 2), ...encodeVarint(bytes.length), ...bytes];
+
+const pick = (table, name, value) => {
+  if (!Object.prototype.hasOwnProperty.call(table, value)) {
+    throw new BadRequestError(`invalid ${name}: use one of ${Object.keys(table).join(', ')}`);
+  }
+  return table[value];
+};
+
+const parseFeatures = value => {
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  return list.map(x => String(x).trim()).filter(Boolean);
+};
+
+const hasFilters = options =>
+  ['sort', 'uploadDate', 'duration'].some(key => options[key]) ||
+  (options.features !== undefined && parseFeatures(options.features).length > 0);
+
+// Returns the `sp` value for the given filters, or null when they match YouTube's defaults.
+exports.encodeSearchFilters = (options = {}) => {
+  if (!hasFilters(options)) return null;
+
+  const filters = [];
+  if (options.uploadDate) filters.push(...varintField(1, pick(UPLOAD_DATE, 'uploadDate', options.uploadDate)));
+  if (options.duration) filters.push(...varintField(3, pick(DURATION, 'duration', options.duration)));
+  if (options.features !== undefined) {
+    const fields = parseFeatures(options.features).map(x => pick(FEATURES, 'features', x));
+    for (const field of [...new Set(fields)].sort((a, b) => a - b)) filters.push(...varintField(field, 1));
+  }
+
+  const bytes = [];
+  const sort = options.sort ? pick(SORT, 'sort', options.sort) : 0;
+  if (sort) bytes.push(...varintField(1, sort));
+  if (filters.length) bytes.push(...messageField(2, filters));
+
+  return bytes.length ? Buffer.from(bytes).toString('base64') : null;
+};
+
+exports.SEARCH_FILTERS = {
+  sort: Object.keys(SORT),
+  uploadDate: Object.keys(UPLOAD_DATE),
+  duration: Object.keys(DURATION),
+  features: Object.keys(FEATURES),
+};
@@ -1,27 +1,234 @@
+const crypto = require('crypto');
 const http = require('http');
+const os = require('os');
+const PATH = require('path');
 const searchYoutube = require('./youtubeSearch');
-const { getVideoDetails, getPlaylistDetails, getChannelDetails } = require('./youtubeResources');
+const { suggest } = require('./youtubeSuggest');
+const { batch } = require('./batch');
+const { ROUTES, matchRoute, validateRequest } = require('./routes');
+const { buildOpenApi, renderDocs } = require('./openapi');
+const {
+  getVideoDetails,
+  getVideoCaptions,
+  getVideoFormats,
+  getVideoChapters,
+  getVideoComments,
+  getCommentReplies,
+  getPlaylistDetails,
+  getChannelDetails,
+} = require('./youtubeResources');
+const { toSrt, toVtt, toText } = require('./captions');
+const { createCache, createMemoryStore, createDiskStore, DEFAULT_TTLS } = require('./cache');
+const {
+  YtError,
+  BadRequestError,
+  NotFoundError,
+  RateLimitedError,
+  UpstreamRateLimitedError,
+  recordParseFailure,
+} = require('./errors');
+const { registry, CONTENT_TYPE: METRICS_CONTENT_TYPE } = require('./metrics');
+const { buildCanaries, createReadiness } = require('./readiness');
+const { createLimiter, loadConfig: loadApiKeys } = require('./rateLimit');
+const upstream = require('./upstream');
+const requestContext = require('./requestContext');
 
 const PORT = Number(process.env.PORT || 3053);
 const HOST = process.env.HOST || '0.0.0.0';
+// Sent with 429s when YouTube did not say how long to back off.
+const DEFAULT_RETRY_AFTER = 30;
+// Behind TRUST_PROXY reverse proxies (1 when set to a non-number) the client address is the
+// X-Forwarded-For entry the outermost one appended, counting from the right: entries further left
+// come from the client and may be forged.
+const TRUST_PROXY = /^\d+$/.test(process.env.TRUST_PROXY || '')
+  ? Number(process.env.TRUST_PROXY)
+  : Number(!!process.env.TRUST_PROXY);
+// Client-supplied request ids are kept when they look like ids; anything else is replaced.
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
 
-const sendJson = (res, statusCode, data) => {
-  res.writeHead(statusCode, {
-    'content-type': 'application/json; charset=utf-8',
-    'access-control-allow-origin': '*',
-    'access-control-allow-methods': 'GET,POST,OPTIONS',
-    'access-control-allow-headers': 'content-type',
-  });
+const CORS_HEADERS = {
+  'access-control-allow-origin': '*',
+  'access-control-allow-methods': 'GET,POST,OPTIONS',
+  'access-control-allow-headers': 'content-type, if-none-match, x-request-id, x-api-key',
+  'access-control-expose-headers': [
+    'x-request-id, etag, age, retry-after',
+    'x-ratelimit-limit, x-ratelimit-remaining, x-ratelimit-reset',
+    'x-ratelimit-quota-limit, x-ratelimit-quota-remaining, x-ratelimit-quota-reset',
+  ].join(', '),
+};
+
+const httpRequests = registry.counter('ytr_http_requests_total', 'API requests by route, method and status.', [
+  'route',
+  'method',
+  'status',
+]);
+const httpDuration = registry.histogram('ytr_http_request_duration_seconds', 'API latency by route and status.', [
+  'route',
+  'status',
+]);
+const cacheLookups = registry.counter('ytr_cache_lookups_total', 'Cache lookups by resource and result.', [
+  'resource',
+  'result',
+]);
+// Only resources looked up at least once are reported, so nothing shows when caching is off.
+registry.gauge('ytr_cache_hit_ratio', 'Share of cache lookups answered from the cache.', ['resource'], () =>
+  Object.keys(DEFAULT_TTLS)
+    .map(resource => {
+      const hits = cacheLookups.get({ resource, result: 'hit' });
+      const total = hits + cacheLookups.get({ resource, result: 'miss' });
+      return { labels: { resource }, value: total ? hits / total : null };
+    })
+    .filter(x => x.value !== null),
+);
+
+const recordCacheLookup = (resource, hit) => cacheLookups.inc({ resource, result: hit ? 'hit' : 'miss' });
+
+// CACHE_STORE=memory|disk|none, CACHE_DIR, CACHE_MAX_ENTRIES and CACHE_TTL_<RESOURCE> in seconds.
+const buildCache = env => {
+  const kind = env.CACHE_STORE || 'memory';
+  const ttls = {};
+  for (const resource of Object.keys(DEFAULT_TTLS)) {
+    const value = env[`CACHE_TTL_${resource.toUpperCase()}`];
+    if (value !== undefined && value !== '') ttls[resource] = Number(value);
+  }
+
+  if (kind === 'none') return createCache({ store: null, ttls });
+  const store =
+    kind === 'disk'
+      ? createDiskStore({ dir: env.CACHE_DIR || PATH.join(os.tmpdir(), 'nd_ytr-cache') })
+      : createMemoryStore({ maxEntries: Number(env.CACHE_MAX_ENTRIES) || 500 });
+  return createCache({ store, ttls, onLookup: recordCacheLookup });
+};
+
+const cache = buildCache(process.env);
+
+// UPSTREAM_CONNECT_TIMEOUT_MS, UPSTREAM_HEADERS_TIMEOUT_MS, UPSTREAM_BODY_TIMEOUT_MS,
+// UPSTREAM_TOTAL_TIMEOUT_MS, UPSTREAM_RETRIES, UPSTREAM_MAX_CONCURRENT, UPSTREAM_MAX_QUEUE and
+// UPSTREAM_QUEUE_TIMEOUT_MS override the defaults in upstream.js;
+// UPSTREAM_BASE_URL, UPSTREAM_TRANSPORT=live|record|replay and UPSTREAM_FIXTURES_DIR pick the transport.
+upstream.configure({
+  baseUrl: process.env.UPSTREAM_BASE_URL,
+  transport: process.env.UPSTREAM_TRANSPORT,
+  fixturesDir: process.env.UPSTREAM_FIXTURES_DIR,
+  connectTimeout: process.env.UPSTREAM_CONNECT_TIMEOUT_MS,
+  headersTimeout: process.env.UPSTREAM_HEADERS_TIMEOUT_MS,
+  bodyTimeout: process.env.UPSTREAM_BODY_TIMEOUT_MS,
+  totalTimeout: process.env.UPSTREAM_TOTAL_TIMEOUT_MS,
+  retries: process.env.UPSTREAM_RETRIES,
+  maxConcurrent: process.env.UPSTREAM_MAX_CONCURRENT,
+  maxQueue: process.env.UPSTREAM_MAX_QUEUE,
+  queueTimeout: process.env.UPSTREAM_QUEUE_TIMEOUT_MS,
+});
+
+// READY_CANARY_QUERY and READY_CANARY_VIDEO_ID are scraped every READY_INTERVAL_SECONDS for /ready,
+// which only reads the last run; 0 turns the timer off, leaving the run of the first /ready call.
+const readiness = createReadiness({
+  checks: buildCanaries({
+    query: process.env.READY_CANARY_QUERY || 'booba',
+    videoId: process.env.READY_CANARY_VIDEO_ID || 'dQw4w9WgXcQ',
+  }),
+  intervalMs: Number(process.env.READY_INTERVAL_SECONDS || 300) * 1000,
+});
+
+// /api/ routes are rate limited per client IP with the default anonymous limits; API_KEYS_FILE
+// adds API keys and overrides the limits, see rateLimit.js.
+const limiter = createLimiter(process.env.API_KEYS_FILE ? loadApiKeys(process.env.API_KEYS_FILE) : {});
+
+const sendJson = (res, statusCode, data, headers = {}) => {
+  res.writeHead(
+    statusCode,
+    Object.assign({ 'content-type': 'application/json; charset=utf-8' }, CORS_HEADERS, headers),
+  );
   res.end(JSON.stringify(data));
 };
 
+// Error bodies carry the request id so a client report can be matched with the access log.
+const withRequestId = (res, body) => Object.assign(body, { requestId: res.getHeader('x-request-id') });
+
+// Errors the library did not raise on purpose are bugs: answer 500 without details.
+const sendError = (res, error) => {
+  const context = requestContext.current();
+  if (!(error instanceof YtError)) {
+    if (context) context.error = { code: 'internal_error', message: String((error && error.message) || error) };
+    sendJson(res, 500, withRequestId(res, { code: 'internal_error', message: 'internal error', retryable: false }));
+    return;
+  }
+  if (context) context.error = { code: error.code, message: error.message };
+  const headers = {};
+  if (error instanceof UpstreamRateLimitedError || error instanceof RateLimitedError) {
+    headers['retry-after'] = String(error.retryAfter !== null ? error.retryAfter : DEFAULT_RETRY_AFTER);
+  }
+  sendJson(res, error.status, withRequestId(res, error.toJSON()), headers);
+};
+
+const requestIdFor = req => {
+  const given = req.headers['x-request-id'];
+  return typeof given === 'string' && REQUEST_ID_PATTERN.test(given) ? given : crypto.randomUUID();
+};
+
+const clientIp = req => {
+  const forwarded = req.headers['x-forwarded-for'];
+  if (!TRUST_PROXY || typeof forwarded !== 'string' || !forwarded.trim()) return req.socket.remoteAddress || null;
+  const hops = forwarded.split(',').map(x => x.trim());
+  return hops[Math.max(0, hops.length - TRUST_PROXY)] || req.socket.remoteAddress || null;
+};
+
+const apiKeyOf = (req, url) => {
+  const header = req.headers['x-api-key'];
+  return (typeof header === 'string' && header.trim()) || url.searchParams.get('apiKey') || null;
+};
+
+// Takes the request's cost from the client's limits; the X-RateLimit-* headers go out either way.
+const applyRateLimit = (res, client, cost) => {
+  const { headers, error } = limiter.consume(client, cost);
+  for (const [name, value] of Object.entries(headers)) res.setHeader(name, value);
+  if (error) throw error;
+};
+
+const etagMatches = (header, etag) =>
+  !!header &&
+  header
+    .split(',')
+    .map(x => x.trim().replace(/^W\//, ''))
+    .some(x => x === '*' || x === etag);
+
+// Sends a cache entry with validators; `body` is the rendered representation of entry.value.
+const sendCached = (req, res, entry, body, contentType = 'application/json') => {
+  const etag = `"${crypto.createHash('sha1').update(body).digest('base64url')}"`;
+  const age = Math.max(0, Math.floor((Date.now() - entry.storedAt) / 1000));
+  const headers = Object.assign(
+    {
+      etag,
+      age: String(age),
+      'cache-control': entry.ttl ? `public, max-age=${Math.max(0, entry.ttl - age)}` : 'no-cache',
+    },
+    CORS_HEADERS,
+  );
+
+  if (etagMatches(req.headers['if-none-match'], etag)) {
+    res.writeHead(304, headers);
+    res.end();
+    return;
+  }
+  res.writeHead(200, Object.assign({ 'content-type': `${contentType}; charset=utf-8` }, headers));
+  res.end(body);
+};
+
+const sendCachedJson = (req, res, entry) => sendCached(req, res, entry, JSON.stringify(entry.value));
+
+const CAPTION_RENDERERS = {
+  srt: { contentType: 'application/x-subrip', render: toSrt },
+  vtt: { contentType: 'text/vtt', render: toVtt },
+  txt: { contentType: 'text/plain', render: toText },
+};
+
 const parseBody = req =>
   new Promise((resolve, reject) => {
     let raw = '';
     req.on('data', chunk => {
       raw += chunk;
       if (raw.length > 1_000_000) {
-        reject(new Error('payload too large'));
+        reject(new BadRequestError('payload too large', { code: 'payload_too_large', status: 413 }));
         req.destroy();
       }
     });
@@ -30,154 +237,213 @@ const parseBody = req =>
       try {
         resolve(JSON.parse(raw));
       } catch {
-        reject(new Error('invalid json body'));
+        reject(new BadRequestError('invalid json body'));
       }
     });
     req.on('error', reject);
   });
 
-const toNumberIfPresent = value => {
-  if (value === undefined || value === null || value === '') return undefined;
-  const n = Number(value);
-  return Number.isFinite(n) ? n : undefined;
+// Options forwarded to the library: hl/gl everywhere plus the route's own, once validated.
+const pickOptions = (params, keys) => {
+  const options = { hl: params.hl, gl: params.gl };
+  for (const key of keys) options[key] = params[key];
+  return options;
 };
 
-const parseQueryParams = url => ({
-  q: url.searchParams.get('q') || url.searchParams.get('query') || '',
-  type: url.searchParams.get('type') || undefined,
-  hl: url.searchParams.get('hl') || undefined,
-  gl: url.searchParams.get('gl') || undefined,
-  limit: toNumberIfPresent(url.searchParams.get('limit')),
-});
+const SEARCH_OPTIONS = ['type', 'limit', 'pageToken', 'sort', 'uploadDate', 'duration', 'features', 'engine'];
 
-const parseDetailOptions = url => ({
-  hl: url.searchParams.get('hl') || undefined,
-  gl: url.searchParams.get('gl') || undefined,
-  limit: toNumberIfPresent(url.searchParams.get('limit')),
-  relatedLimit: toNumberIfPresent(url.searchParams.get('relatedLimit')),
-});
+const cachedSearch = params => {
+  const options = pickOptions(params, SEARCH_OPTIONS);
+  return cache.wrap('search', params.q, options, () => searchYoutube(params.q, options));
+};
 
-const parsePostParams = body => ({
-  q: typeof body.q === 'string' ? body.q : typeof body.query === 'string' ? body.query : '',
-  type: typeof body.type === 'string' ? body.type : undefined,
-  hl: typeof body.hl === 'string' ? body.hl : undefined,
-  gl: typeof body.gl === 'string' ? body.gl : undefined,
-  limit: toNumberIfPresent(body.limit),
-});
+const sendCachedResource = async (req, res, resource, id, options, loader) =>
+  sendCachedJson(req, res, await cache.wrap(resource, id, options, loader));
 
-const server = http.createServer(async (req, res) => {
-  const url = new URL(req.url || '/', `http://${req.headers.host || 'localhost'}`);
-  const pathParts = url.pathname.split('/').filter(Boolean);
+// One handler per route of routes.js, called with the validated parameters.
+const HANDLERS = {
+  health: (req, res) => sendJson(res, 200, { ok: true }),
 
-  if (req.method === 'OPTIONS') {
-    res.writeHead(204, {
-      'access-control-allow-origin': '*',
-      'access-control-allow-methods': 'GET,POST,OPTIONS',
-      'access-control-allow-headers': 'content-type',
-    });
-    res.end();
-    return;
-  }
+  ready: async (req, res) => {
+    const report = await readiness.get();
+    sendJson(res, report.ready ? 200 : 503, report);
+  },
 
-  if (req.method === 'GET' && url.pathname === '/health') {
-    sendJson(res, 200, { ok: true });
-    return;
-  }
+  openapi: (req, res) =>
+    sendJson(res, 200, buildOpenApi({ serverUrl: `http://${req.headers.host || `localhost:${PORT}`}` })),
 
-  if (req.method === 'GET' && url.pathname === '/api/search') {
-    const input = parseQueryParams(url);
-    if (!input.q) {
-      sendJson(res, 400, { error: 'missing query: use ?q=...' });
+  metrics: (req, res) => {
+    res.writeHead(200, Object.assign({ 'content-type': `${METRICS_CONTENT_TYPE}; charset=utf-8` }, CORS_HEADERS));
+    res.end(registry.render());
+  },
+
+  docs: (req, res) => {
+    res.writeHead(200, Object.assign({ 'content-type': 'text/html; charset=utf-8' }, CORS_HEADERS));
+    res.end(renderDocs());
+  },
+
+  search_get: async (req, res, params) => sendCachedJson(req, res, await cachedSearch(params)),
+
+  search_post: async (req, res, params) => sendCachedJson(req, res, await cachedSearch(params)),
+
+  suggest: (req, res, params) => {
+    const options = pickOptions(params, ['limit']);
+    return sendCachedResource(req, res, 'suggest', params.q, options, () => suggest(params.q, options));
+  },
+
+  batch: async (req, res, params) => {
+    const result = await batch(params.operations, {
+      concurrency: params.concurrency,
+      load: (resource, id, options, loader) =>
+        cache.wrap(resource, id, options, loader).then(
+          entry => entry.value,
+          error => {
+            recordParseFailure(error);
+            throw error;
+          },
+        ),
+    });
+    sendJson(res, 200, result);
+  },
+
+  video_captions: async (req, res, params) => {
+    const options = pickOptions(params, []);
+    const entry = await cache.wrap('captions', params.id, Object.assign({ lang: params.lang }, options), () =>
+      getVideoCaptions(params.id, params.lang, options),
+    );
+    const format = params.format || 'json';
+    if (format === 'json') {
+      sendCachedJson(req, res, entry);
       return;
     }
+    const renderer = CAPTION_RENDERERS[format];
+    sendCached(req, res, entry, renderer.render(entry.value.cues), renderer.contentType);
+  },
 
-    try {
-      const result = await searchYoutube(input.q, {
-        type: input.type,
-        hl: input.hl,
-        gl: input.gl,
-        limit: input.limit,
-      });
-      sendJson(res, 200, result);
-    } catch (error) {
-      sendJson(res, 502, { error: error.message || 'upstream error' });
-    }
-    return;
-  }
+  video_formats: (req, res, params) => {
+    const options = pickOptions(params, ['audioOnly', 'videoOnly']);
+    return sendCachedResource(req, res, 'formats', params.id, options, () => getVideoFormats(params.id, options));
+  },
 
-  if (req.method === 'POST' && url.pathname === '/api/search') {
-    try {
-      const body = await parseBody(req);
-      const input = parsePostParams(body);
-      if (!input.q) {
-        sendJson(res, 400, { error: 'missing query: body.q or body.query required' });
-        return;
-      }
+  video_chapters: (req, res, params) => {
+    const options = pickOptions(params, []);
+    return sendCachedResource(req, res, 'video', params.id, Object.assign({ chapters: true }, options), () =>
+      getVideoChapters(params.id, options),
+    );
+  },
 
-      const result = await searchYoutube(input.q, {
-        type: input.type,
-        hl: input.hl,
-        gl: input.gl,
-        limit: input.limit,
-      });
-      sendJson(res, 200, result);
-    } catch (error) {
-      if (error.message === 'invalid json body' || error.message === 'payload too large') {
-        sendJson(res, 400, { error: error.message });
-        return;
-      }
-      sendJson(res, 502, { error: error.message || 'upstream error' });
-    }
-    return;
-  }
+  comment_replies: (req, res, params) => {
+    const options = pickOptions(params, ['pageToken']);
+    return sendCachedResource(
+      req,
+      res,
+      'comments',
+      params.id,
+      Object.assign({ commentId: params.commentId }, options),
+      () => getCommentReplies(params.id, params.commentId, options),
+    );
+  },
 
-  if (req.method === 'GET' && pathParts[0] === 'api' && pathParts[1] === 'video' && pathParts[2]) {
-    try {
-      const id = decodeURIComponent(pathParts.slice(2).join('/'));
-      const result = await getVideoDetails(id, parseDetailOptions(url));
-      sendJson(res, 200, result);
-    } catch (error) {
-      sendJson(res, 502, { error: error.message || 'upstream error' });
-    }
+  video_comments: (req, res, params) => {
+    const options = pickOptions(params, ['sort', 'pageToken']);
+    return sendCachedResource(req, res, 'comments', params.id, options, () => getVideoComments(params.id, options));
+  },
+
+  video_get: (req, res, params) => {
+    const options = pickOptions(params, ['relatedLimit']);
+    return sendCachedResource(req, res, 'video', params.id, options, () => getVideoDetails(params.id, options));
+  },
+
+  playlist_get: (req, res, params) => {
+    const options = pickOptions(params, ['limit', 'pageToken', 'all']);
+    return sendCachedResource(req, res, 'playlist', params.id, options, () => getPlaylistDetails(params.id, options));
+  },
+
+  channel_tab: (req, res, params) => {
+    const options = pickOptions(params, ['tab', 'limit', 'pageToken']);
+    return sendCachedResource(req, res, 'channel', params.id, options, () => getChannelDetails(params.id, options));
+  },
+
+  channel_get: (req, res, params) => HANDLERS.channel_tab(req, res, params),
+};
+
+const ROUTE_EXAMPLES = Object.fromEntries(ROUTES.map(x => [x.name, `${x.method} ${x.example || x.path}`]));
+
+const handleRequest = async (req, res) => {
+  const url = new URL(req.url || '/', `http://${req.headers.host || 'localhost'}`);
+  // /api/video/shorts/:id/... addresses the same resources as /api/video/:id/...
+  const pathname = url.pathname.replace(/^\/api\/video\/shorts\/(?=[^/])/, '/api/video/');
+  const match = req.method === 'OPTIONS' ? null : matchRoute(req.method, pathname);
+
+  const context = requestContext.current();
+  const startedAt = process.hrtime.bigint();
+  res.on('finish', () => {
+    const route = match ? match.route.name : req.method === 'OPTIONS' ? 'preflight' : 'unmatched';
+    const seconds = Number(process.hrtime.bigint() - startedAt) / 1e9;
+    const status = String(res.statusCode);
+    httpRequests.inc({ route, method: req.method, status });
+    httpDuration.observe({ route, status }, seconds);
+
+    const entry = {
+      time: new Date().toISOString(),
+      level: res.statusCode >= 500 ? 'error' : res.statusCode >= 400 ? 'warn' : 'info',
+      requestId: context.requestId,
+      method: req.method,
+      route,
+      path: url.pathname,
+      status: res.statusCode,
+      durationMs: Math.round(seconds * 1000),
+      ip: clientIp(req),
+      upstream: context.upstream,
+    };
+    if (context.client) entry.client = context.client;
+    if (context.error) entry.error = context.error;
+    server.emit('access', entry);
+  });
+
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204, CORS_HEADERS);
+    res.end();
     return;
   }
 
-  if (req.method === 'GET' && pathParts[0] === 'api' && pathParts[1] === 'playlist' && pathParts[2]) {
-    try {
-      const id = decodeURIComponent(pathParts.slice(2).join('/'));
-      const result = await getPlaylistDetails(id, parseDetailOptions(url));
-      sendJson(res, 200, result);
-    } catch (error) {
-      sendJson(res, 502, { error: error.message || 'upstream error' });
-    }
+  if (!match) {
+    const notFound = withRequestId(res, new NotFoundError('not found').toJSON());
+    sendJson(res, 404, Object.assign(notFound, { docs: '/docs', routes: ROUTE_EXAMPLES }));
     return;
   }
 
-  if (req.method === 'GET' && pathParts[0] === 'api' && pathParts[1] === 'channel' && pathParts[2]) {
-    try {
-      const id = decodeURIComponent(pathParts.slice(2).join('/'));
-      const result = await getChannelDetails(id, parseDetailOptions(url));
-      sendJson(res, 200, result);
-    } catch (error) {
-      sendJson(res, 502, { error: error.message || 'upstream error' });
-    }
-    return;
+  try {
+    const client = match.route.path.startsWith('/api/') ? limiter.identify(apiKeyOf(req, url), clientIp(req)) : null;
+    if (client) context.client = client.name;
+    const body = match.route.body ? await parseBody(req) : undefined;
+    const params = validateRequest(match.route, { pathParams: match.pathParams, query: url.searchParams, body });
+    if (client) applyRateLimit(res, client, match.route.cost ? match.route.cost(params) : 1);
+    await HANDLERS[match.route.name](req, res, params);
+  } catch (error) {
+    recordParseFailure(error);
+    sendError(res, error);
   }
+};
 
-  sendJson(res, 404, {
-    error: 'not found',
-    routes: {
-      health: 'GET /health',
-      search_get: 'GET /api/search?q=booba&type=video&limit=5',
-      search_post: 'POST /api/search {"q":"booba","type":"video","limit":5}',
-      video_get: 'GET /api/video/dQw4w9WgXcQ?relatedLimit=5',
-      playlist_get: 'GET /api/playlist/PL...?...',
-      channel_get: 'GET /api/channel/UC...?...',
-    },
-  });
+// Everything a request does, including the upstream calls it triggers, runs inside its context.
+const server = http.createServer((req, res) => {
+  const requestId = requestIdFor(req);
+  res.setHeader('x-request-id', requestId);
+  return requestContext.run({ requestId, upstream: [] }, () => handleRequest(req, res));
 });
 
-server.listen(PORT, HOST, () => {
-  // eslint-disable-next-line no-console
-  console.log(`API running on http://${HOST}:${PORT}`);
-});
+// Every finished request emits an `access` event; run directly, they are logged as JSON lines
+// on stdout unless ACCESS_LOG=off.
+if (require.main === module) {
+  if (process.env.ACCESS_LOG !== 'off') {
+    server.on('access', entry => process.stdout.write(`${JSON.stringify(entry)}\n`));
+  }
+  server.listen(PORT, HOST, () => {
+    readiness.start();
+    const message = `API running on http://${HOST}:${PORT}`;
+    process.stdout.write(`${JSON.stringify({ time: new Date().toISOString(), level: 'info', message })}\n`);
+  });
+}
+
+module.exports = server;
@@ -0,0 +1,66 @@
+const assert = require('node:assert/strict');
+const { describe, it } = require('node:test');
+
+const { batch } = require('../batch');
+const { BadRequestError, NotFoundError } = require('../errors');
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+describe('batch', () => {
+  it('runs operations with bounded concurrency and keeps their order', async () => {
+    let running = 0;
+    let peak = 0;
+    const load = async (resource, id) => {
+      running += 1;
+      peak = Math.max(peak, running);
+      await tick();
+      running -= 1;
+      return `${resource}:${id}`;
+    };
+    const operations = Array.from({ length: 7 }, (_, i) => ({ op: 'video', id: `vid${i}` }));
+
+    const result = await batch(operations, { concurrency: 3, load });
+    assert.equal(peak, 3);
+    assert.deepEqual(result.results.map(x => x.value), operations.map(x => `video:${x.id}`));
+    assert.equal(result.succeeded, 7);
+  });
+
+  it('reports failures per operation', async () => {
+    const load = async (resource, id, options) => {
+      if (id === 'gone') throw new NotFoundError('Video unavailable');
+      if (id === 'bug') throw new TypeError('boom');
+      return { resource, id, options };
+    };
+    const result = await batch(
+      [
+        { op: 'chapters', id: 'vid00000001', hl: 'en', bogus: 1 },
+        { op: 'video', id: 'gone' },
+        { op: 'search', q: 'bug' },
+        { op: 'lyrics', id: 'vid00000001' },
+        { op: 'channel' },
+        null,
+      ],
+      { load },
+    );
+
+    assert.deepEqual(result.results[0], {
+      op: 'chapters',
+      ok: true,
+      value: { resource: 'video', id: 'vid00000001', options: { chapters: true, hl: 'en' } },
+    });
+    assert.deepEqual(result.results.slice(1).map(x => [x.op, x.error.status, x.error.code]), [
+      ['video', 404, 'not_found'],
+      ['search', 500, 'internal_error'],
+      ['lyrics', 400, 'bad_request'],
+      ['channel', 400, 'bad_request'],
+      [null, 400, 'bad_request'],
+    ]);
+    assert.deepEqual([result.succeeded, result.failed], [1, 5]);
+  });
+
+  it('rejects empty and oversized batches', async () => {
+    await assert.rejects(batch([]), BadRequestError);
+    await assert.rejects(batch({ op: 'video' }), BadRequestError);
+    await assert.rejects(batch(Array.from({ length: 51 }, () => ({ op: 'video', id: 'x' }))), BadRequestError);
+  });
+});
@@ -0,0 +1,135 @@
+const FS = require('fs');
+const http = require('http');
+const PATH = require('path');
+
+const FIXTURES_DIR = PATH.join(__dirname, '..', 'fixtures');
+const CLIENT_VERSION = '2.20250101.00.00';
+
+const readFixture = name => FS.readFileSync(PATH.join(FIXTURES_DIR, name), 'utf8');
+const loadFixture = name => JSON.parse(readFixture(name));
+
+// Wraps fixtures the way youtube.com inlines them in its pages.
+const renderPage = ({ initialData, playerResponse } = {}) =>
+  [
+    '<!DOCTYPE html><html><head>',
+    `<script>ytcfg.set({"INNERTUBE_CONTEXT_CLIENT_VERSION":"${CLIENT_VERSION}"});</script>`,
+    '</head><body>',
+    playerResponse ? `<script>var ytInitialPlayerResponse = ${JSON.stringify(playerResponse)};</script>` : '',
+    initialData ? `<script>var ytInitialData = ${JSON.stringify(initialData)};</script>` : '',
+    '</body></html>',
+  ].join('');
+
+const CONTINUATIONS = {
+  SEARCH_PAGE_2: 'search-continuation.json',
+  PLAYLIST_PAGE_2: 'playlist-continuation.json',
+  CHANNEL_VIDEOS_2: 'channel-videos-continuation.json',
+  ABOUT_TOKEN: 'channel-about-continuation.json',
+  COMMENTS_TOP: 'comments.json',
+  COMMENTS_NEW: 'comments-new.json',
+  COMMENTS_PAGE_2: 'comments-continuation.json',
+  REPLIES_UgxPinned: 'comment-replies.json',
+};
+
+// Searches answered with a fixture of their own; any other query gets search.json.
+const SEARCH_PAGES = {
+  'vues abregees': 'search-counts.json',
+};
+
+const CHANNEL_PAGES = {
+  videos: 'channel-videos.json',
+  shorts: 'channel-shorts.json',
+  about: 'channel-about.json',
+};
+
+const CONSENT_PAGE = '<html><body>consent</body></html>';
+
+const send = (res, statusCode, body, headers = {}) => {
+  res.writeHead(statusCode, Object.assign({ 'content-type': 'text/html; charset=utf-8' }, headers));
+  res.end(body);
+};
+
+const sendJson = (res, data) => send(res, 200, JSON.stringify(data), { 'content-type': 'application/json' });
+
+const readBody = req =>
+  new Promise(resolve => {
+    let raw = '';
+    req.on('data', chunk => {
+      raw += chunk;
+    });
+    req.on('end', () => resolve(raw ? JSON.parse(raw) : {}));
+  });
+
+const handleWatch = (url, res) => {
+  const videoId = url.searchParams.get('v');
+  if (videoId === 'ratelimited') return send(res, 429, 'slow down', { 'retry-after': '7' });
+  if (videoId === 'broken') return send(res, 200, CONSENT_PAGE);
+  if (videoId === 'gone') {
+    const playerResponse = { playabilityStatus: { status: 'ERROR', reason: 'Video unavailable' } };
+    return send(res, 200, renderPage({ playerResponse }));
+  }
+  const playerResponse = loadFixture('watch-player-response.json');
+  if (videoId.startsWith('short')) playerResponse.microformat.playerMicroformatRenderer.isShortsEligible = true;
+  if (videoId === 'nostreams') delete playerResponse.streamingData;
+  return send(res, 200, renderPage({ playerResponse, initialData: loadFixture('watch-initial-data.json') }));
+};
+
+const handleChannel = (url, res) => {
+  const segments = url.pathname.split('/').filter(Boolean);
+  const owner = segments[0] === 'channel' ? segments[1] : segments[0];
+  const page = CHANNEL_PAGES[segments[segments.length - 1]];
+  if (!['@booba', 'UCowner00000000000000001'].includes(owner) || !page) return send(res, 404, 'not found');
+  return send(res, 200, renderPage({ initialData: loadFixture(page) }));
+};
+
+// A local stand-in for youtube.com serving the fixtures; `requests` records every call made.
+exports.startStandIn = async () => {
+  const requests = [];
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const body = req.method === 'POST' ? await readBody(req) : null;
+    requests.push({ method: req.method, path: url.pathname, query: url.searchParams, body });
+
+    if (req.method === 'GET' && url.pathname === '/results') {
+      if (url.searchParams.get('search_query') === 'consent wall') return send(res, 200, CONSENT_PAGE);
+      const fixture = SEARCH_PAGES[url.searchParams.get('search_query')] || 'search.json';
+      return send(res, 200, renderPage({ initialData: loadFixture(fixture) }));
+    }
+    if (req.method === 'GET' && url.pathname === '/watch') return handleWatch(url, res);
+    if (req.method === 'GET' && url.pathname === '/api/timedtext') {
+      return send(res, 200, readFixture('captions-srv3.xml'), { 'content-type': 'text/xml' });
+    }
+    if (req.method === 'GET' && url.pathname === '/playlist') {
+      const fixture = url.searchParams.get('list') === 'PLmissing' ? 'playlist-missing.json' : 'playlist.json';
+      return send(res, 200, renderPage({ initialData: loadFixture(fixture) }));
+    }
+    // A first search page asked through the api, as the innertube engine does for playlists.
+    if (req.method === 'POST' && url.pathname === '/youtubei/v1/search' && !body.continuation) {
+      return sendJson(res, loadFixture(SEARCH_PAGES[body.query] || 'search.json'));
+    }
+    if (req.method === 'POST' && url.pathname.startsWith('/youtubei/v1/')) {
+      const fixture = CONTINUATIONS[body.continuation];
+      if (!fixture) return send(res, 400, '{"error":{"code":400}}', { 'content-type': 'application/json' });
+      return sendJson(res, loadFixture(fixture));
+    }
+    if (req.method === 'GET' && url.pathname === '/complete/search') {
+      const q = url.searchParams.get('q');
+      const suggestions = [[q, 0, [512]], [`${q} clip`, 0, [512, 433]], [`${q} live`, 0, [512]], [`${q} clip`, 0]];
+      const body = `window.google.ac.h(${JSON.stringify([q, suggestions, { k: 1, q: 'a1b2' }])})`;
+      return send(res, 200, body, { 'content-type': 'text/javascript; charset=utf-8' });
+    }
+    if (req.method === 'GET') return handleChannel(url, res);
+    return send(res, 404, 'not found');
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    close: () => new Promise(resolve => server.close(resolve)),
+  };
+};
+
+exports.loadFixture = loadFixture;
+exports.readFixture = readFixture;
+exports.renderPage = renderPage;
+exports.CLIENT_VERSION = CLIENT_VERSION;
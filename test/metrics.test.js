@@ -0,0 +1,50 @@
+const assert = require('node:assert/strict');
+const { describe, it } = require('node:test');
+
+const { createRegistry } = require('../metrics');
+
+describe('metrics registry', () => {
+  it('renders labelled counters', () => {
+    const registry = createRegistry();
+    const counter = registry.counter('demo_total', 'Demo counter.', ['route', 'status']);
+    counter.inc({ route: 'search', status: 200 });
+    counter.inc({ route: 'search', status: 200 }, 2);
+    counter.inc({ route: 'say "hi"\n', status: 500 });
+
+    assert.equal(counter.get({ route: 'search', status: '200' }), 3);
+    assert.equal(
+      registry.render(),
+      [
+        '# HELP demo_total Demo counter.',
+        '# TYPE demo_total counter',
+        'demo_total{route="search",status="200"} 3',
+        'demo_total{route="say \\"hi\\"\\n",status="500"} 1',
+        '',
+      ].join('\n'),
+    );
+  });
+
+  it('renders cumulative histogram buckets', () => {
+    const registry = createRegistry();
+    const histogram = registry.histogram('demo_seconds', 'Demo latency.', ['route'], [0.1, 1]);
+    for (const value of [0.05, 0.5, 3]) histogram.observe({ route: 'video' }, value);
+
+    assert.deepEqual(registry.render().trim().split('\n').slice(2), [
+      'demo_seconds_bucket{route="video",le="0.1"} 1',
+      'demo_seconds_bucket{route="video",le="1"} 2',
+      'demo_seconds_bucket{route="video",le="+Inf"} 3',
+      'demo_seconds_sum{route="video"} 3.55',
+      'demo_seconds_count{route="video"} 3',
+    ]);
+  });
+
+  it('computes gauges at scrape time and refuses duplicates', () => {
+    const registry = createRegistry();
+    let value = 0.5;
+    registry.gauge('demo_ratio', 'Demo ratio.', ['resource'], () => [{ labels: { resource: 'search' }, value }]);
+    assert.match(registry.render(), /^demo_ratio\{resource="search"\} 0\.5$/m);
+    value = 1;
+    assert.match(registry.render(), /^demo_ratio\{resource="search"\} 1$/m);
+    assert.throws(() => registry.counter('demo_ratio', 'Again.'), /already registered/);
+  });
+});
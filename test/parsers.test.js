@@ -0,0 +1,543 @@
+const assert = require('node:assert/strict');
+const { describe, it } = require('node:test');
+
+const youtubeSearch = require('../youtubeSearch');
+const resources = require('../youtubeResources');
+const parseItem = require('../parseItem');
+const { parseTimedText, toSrt, toVtt, toText } = require('../captions');
+const { encodeSearchFilters } = require('../searchFilters');
+const { parseSuggestions } = require('../youtubeSuggest');
+const { parseLockup } = require('../lockupViewModel');
+const { extractContinuationToken } = require('../renderers');
+const { parseDuration, parseCount, parseRelativeDate } = require('../normalize');
+const { BadRequestError, ParseError } = require('../errors');
+const { loadFixture, readFixture, renderPage } = require('./helpers/standIn');
+
+const searchContents = () =>
+  loadFixture('search.json').contents.twoColumnSearchResultsRenderer.primaryContents.sectionListRenderer.contents[0]
+    .itemSectionRenderer.contents;
+
+const rendererFor = (items, key, id) => items.map(x => x[key]).find(x => x && (x.videoId || x.playlistId) === id);
+
+describe('youtubeSearch parsers', () => {
+  const items = searchContents();
+
+  it('parses a regular video', () => {
+    const video = youtubeSearch.parseVideo(rendererFor(items, 'videoRenderer', 'vid00000001'));
+    assert.equal(video.type, 'video');
+    assert.equal(video.title, 'Booba - Petite fille');
+    assert.equal(video.url, 'https://www.youtube.com/watch?v=vid00000001');
+    assert.deepEqual(video.channel, {
+      name: 'Booba',
+      id: 'UCowner00000000000000001',
+      url: 'https://www.youtube.com/@booba',
+    });
+    assert.equal(video.duration, '3:45');
+    assert.equal(video.durationSeconds, 225);
+    assert.equal(video.views, 1234567);
+    assert.equal(video.publishedAt, 'il y a 2 ans');
+    assert.equal(new Date(video.publishedAtISO).getUTCFullYear(), new Date().getUTCFullYear() - 2);
+    assert.equal(video.isLive, false);
+    assert.equal(video.thumbnails[0].width, 480);
+  });
+
+  it('flags live videos and reads viewer counts from runs', () => {
+    const video = youtubeSearch.parseVideo(rendererFor(items, 'videoRenderer', 'live0000001'));
+    assert.equal(video.isLive, true);
+    assert.equal(video.views, 12345);
+    assert.equal(video.duration, '');
+  });
+
+  it('keeps upcoming videos without counts', () => {
+    const video = youtubeSearch.parseVideo(rendererFor(items, 'videoRenderer', 'upcoming001'));
+    assert.equal(video.isLive, false);
+    assert.equal(video.views, null);
+    assert.equal(video.publishedAt, '');
+  });
+
+  it('returns a null channel for shows without an owner', () => {
+    const video = youtubeSearch.parseVideo(rendererFor(items, 'videoRenderer', 'show0000001'));
+    assert.equal(video.channel, null);
+    assert.equal(video.duration, '1:02:03');
+  });
+
+  it('parses playlists, including auto-generated ones', () => {
+    const playlist = youtubeSearch.parsePlaylist(
+      rendererFor(items, 'playlistRenderer', 'PLnormal0000000000000000000000001'),
+    );
+    assert.equal(playlist.videoCount, 42);
+    assert.deepEqual(playlist.channel, { name: 'Booba', id: 'UCowner00000000000000001' });
+
+    const album = youtubeSearch.parsePlaylist(
+      rendererFor(items, 'playlistRenderer', 'OLAK5uy_auto000000000000000000000000001'),
+    );
+    assert.equal(album.channel, null);
+    assert.equal(album.videoCount, 12);
+  });
+
+  it('parses channels', () => {
+    const channel = youtubeSearch.parseChannel(items.find(x => x.channelRenderer).channelRenderer);
+    assert.equal(channel.id, 'UCowner00000000000000001');
+    assert.equal(channel.url, 'https://www.youtube.com/channel/UCowner00000000000000001');
+    assert.equal(channel.subscribers, 1200000);
+    assert.equal(channel.subscribersText, '1,2 M d’abonnés');
+    assert.equal(channel.videoCount, 250);
+    assert.equal(channel.thumbnails[0].width, 176);
+  });
+
+  it('parses shorts shelves in both layouts', () => {
+    const shelf = items.find(x => x.reelShelfRenderer).reelShelfRenderer.items;
+    assert.deepEqual(youtubeSearch.parseReelItem(shelf[0].reelItemRenderer), {
+      type: 'short',
+      id: 'short000003',
+      title: 'Studio',
+      url: 'https://www.youtube.com/shorts/short000003',
+      views: 2500,
+      viewsText: '2 500 vues',
+      thumbnails: [{ url: 'https://i.ytimg.com/vi/short000003/frame0.jpg', width: 405, height: 720 }],
+    });
+    const lockup = youtubeSearch.parseShortsLockup(shelf[1].shortsLockupViewModel);
+    assert.equal(lockup.type, 'short');
+    assert.equal(lockup.id, 'short000004');
+    assert.equal(lockup.views, 987);
+  });
+
+  it('extracts ytInitialData from a page', () => {
+    const data = youtubeSearch.extractInitialData(renderPage({ initialData: loadFixture('search.json') }));
+    assert.equal(data.estimatedResults, '1234');
+    assert.equal(youtubeSearch.extractInitialData('<html></html>'), null);
+  });
+});
+
+describe('renderers', () => {
+  it('reads the last continuation, plain or wrapped in a commandExecutorCommand', () => {
+    const plain = token => ({ continuationItemRenderer: { continuationEndpoint: { continuationCommand: { token } } } });
+    const wrapped = token => ({
+      continuationItemRenderer: {
+        continuationEndpoint: { commandExecutorCommand: { commands: [{}, { continuationCommand: { token } }] } },
+      },
+    });
+    assert.equal(extractContinuationToken([plain('FIRST'), plain('LAST')]), 'LAST');
+    assert.equal(extractContinuationToken([plain('FIRST'), wrapped('WRAPPED')]), 'WRAPPED');
+    assert.equal(extractContinuationToken([{ videoRenderer: {} }]), null);
+  });
+});
+
+describe('lockupViewModel', () => {
+  const searchItems = loadFixture('search-continuation.json').onResponseReceivedCommands[0]
+    .appendContinuationItemsAction.continuationItems[0].itemSectionRenderer.contents;
+  const related = loadFixture('watch-initial-data.json').contents.twoColumnWatchNextResults.secondaryResults
+    .secondaryResults.results;
+  const lockupFor = (items, id) => items.map(x => x.lockupViewModel).find(x => x && x.contentId === id);
+
+  it('parses video lockups into search items', () => {
+    const { publishedAtISO, ...video } = youtubeSearch.lockupToItem(parseLockup(lockupFor(searchItems, 'lock0000001')));
+    assert.match(publishedAtISO, /^20\d\d-\d\d-\d\dT/);
+    assert.deepEqual(video, {
+      type: 'video',
+      id: 'lock0000001',
+      title: 'Booba - Ratpi World',
+      url: 'https://www.youtube.com/watch?v=lock0000001',
+      channel: { name: 'Booba', id: 'UCowner00000000000000001', url: 'https://www.youtube.com/@booba' },
+      description: '',
+      duration: '4:12',
+      durationSeconds: 252,
+      views: 4567890,
+      viewsText: '4 567 890 vues',
+      publishedAt: 'il y a 3 ans',
+      isLive: false,
+      thumbnails: [
+        { url: 'https://i.ytimg.com/vi/lock0000001/hqdefault.jpg', width: 480, height: 270 },
+        { url: 'https://i.ytimg.com/vi/lock0000001/mqdefault.jpg', width: 320, height: 180 },
+      ],
+    });
+  });
+
+  it('parses playlist lockups into search items', () => {
+    const lockup = parseLockup(lockupFor(searchItems, 'PLlockup000000000000000000000001'));
+    const playlist = youtubeSearch.lockupToItem(lockup);
+    assert.equal(playlist.type, 'playlist');
+    assert.equal(playlist.title, 'Booba - Ultra');
+    assert.deepEqual(playlist.channel, { name: 'Booba', id: 'UCowner00000000000000001' });
+    assert.equal(playlist.videoCount, 24);
+  });
+
+  it('keeps only videos among related lockups', () => {
+    const live = resources.parseRelatedLockup(lockupFor(related, 'rel00000003'));
+    assert.equal(live.duration, '');
+    assert.equal(live.views, 1234);
+    assert.equal(live.channel.id, 'UCowner00000000000000001');
+    assert.equal(parseLockup(lockupFor(related, 'rel00000003')).isLive, true);
+    assert.equal(resources.parseRelatedLockup(lockupFor(related, 'RDvid00000001')), null);
+  });
+
+  it('parses playlist lockups on channel pages', () => {
+    const playlist = resources.parsePlaylistLockup(lockupFor(searchItems, 'PLlockup000000000000000000000001'));
+    assert.equal(playlist.url, 'https://www.youtube.com/playlist?list=PLlockup000000000000000000000001');
+    assert.equal(playlist.videoCount, 24);
+    assert.equal(resources.parsePlaylistLockup(lockupFor(searchItems, 'lock0000001')), null);
+  });
+});
+
+describe('parseItem', () => {
+  const items = searchContents();
+  const find = id => items.find(x => Object.values(x)[0].videoId === id || Object.values(x)[0].playlistId === id);
+
+  it('parses regular videos with their author', () => {
+    const video = parseItem(find('vid00000001'));
+    assert.equal(video.name, 'Booba - Petite fille');
+    assert.equal(video.author.channelID, 'UCowner00000000000000001');
+    assert.equal(video.author.url, 'https://www.youtube.com/@booba');
+    assert.equal(video.author.verified, true);
+    assert.equal(video.views, 1234567);
+  });
+
+  it('falls back to the time overlay for the duration', () => {
+    const live = parseItem(find('live0000001'));
+    assert.equal(live.isLive, true);
+    assert.equal(live.duration, 'LIVE');
+  });
+
+  it('keeps the start time of upcoming videos', () => {
+    const upcoming = parseItem(find('upcoming001'));
+    assert.equal(upcoming.isUpcoming, true);
+    assert.equal(upcoming.upcoming, 1893456000000);
+    assert.equal(upcoming.views, null);
+  });
+
+  it('returns a null author for shows', () => {
+    assert.equal(parseItem(find('show0000001')).author, null);
+  });
+
+  it('returns a null owner for auto-generated playlists', () => {
+    const album = parseItem(find('OLAK5uy_auto000000000000000000000000001'));
+    assert.equal(album.owner, null);
+    assert.equal(album.length, 12);
+    assert.equal(parseItem(find('PLnormal0000000000000000000000001')).owner.channelID, 'UCowner00000000000000001');
+  });
+
+  it('records the renderer each item was parsed from', () => {
+    const video = find('vid00000001');
+    assert.equal(parseItem(video).renderer, 'videoRenderer');
+    assert.equal(parseItem({ gridVideoRenderer: video.videoRenderer }).renderer, 'gridVideoRenderer');
+    assert.equal(parseItem(find('PLnormal0000000000000000000000001')).renderer, 'playlistRenderer');
+  });
+
+  it('ignores unknown renderers', () => {
+    assert.equal(parseItem({ shelfRenderer: {} }), null);
+  });
+});
+
+describe('youtubeResources parsers', () => {
+  it('parses related videos', () => {
+    const results = loadFixture('watch-initial-data.json').contents.twoColumnWatchNextResults.secondaryResults
+      .secondaryResults.results;
+    const related = resources.parseCompactVideo(results[0].compactVideoRenderer);
+    assert.deepEqual(related.channel, { name: 'Booba', id: 'UCowner00000000000000001' });
+    assert.equal(related.views, 45678901);
+    assert.equal(resources.parseCompactVideo(results[1].compactVideoRenderer).channel, null);
+  });
+
+  it('reads video ids from urls', () => {
+    const cases = {
+      dQw4w9WgXcQ: { videoId: 'dQw4w9WgXcQ', isShortUrl: false },
+      'https://www.youtube.com/watch?v=dQw4w9WgXcQ&t=10': { videoId: 'dQw4w9WgXcQ', isShortUrl: false },
+      'https://youtu.be/dQw4w9WgXcQ?si=x': { videoId: 'dQw4w9WgXcQ', isShortUrl: false },
+      'https://www.youtube.com/shorts/dQw4w9WgXcQ': { videoId: 'dQw4w9WgXcQ', isShortUrl: true },
+      'shorts/dQw4w9WgXcQ': { videoId: 'dQw4w9WgXcQ', isShortUrl: true },
+    };
+    for (const [input, expected] of Object.entries(cases)) assert.deepEqual(resources.parseVideoInput(input), expected);
+  });
+
+  it('parses caption tracks', () => {
+    const tracks = resources.parseCaptionTracks(loadFixture('watch-player-response.json'));
+    assert.equal(tracks.length, 2);
+    assert.equal(tracks[0].languageCode, 'en');
+    assert.equal(tracks[0].isAutoGenerated, false);
+    assert.equal(tracks[1].isAutoGenerated, true);
+    assert.equal(tracks[1].isTranslatable, true);
+    assert.deepEqual(resources.parseCaptionTracks({}), []);
+  });
+
+  it('parses muxed and adaptive stream formats', () => {
+    const formats = resources.parseStreamingData(loadFixture('watch-player-response.json'));
+    assert.equal(formats.expiresInSeconds, 21540);
+    assert.deepEqual(formats.muxed.map(x => x.itag), [18]);
+    assert.deepEqual(formats.adaptive.map(x => x.itag), [137, 248, 140, 251]);
+
+    const [muxed] = formats.muxed;
+    assert.deepEqual(muxed.codecs, ['avc1.42001E', 'mp4a.40.2']);
+    assert.equal(muxed.mimeType, 'video/mp4');
+    assert.equal(muxed.resolution, '640x360');
+    assert.equal(muxed.hasAudio && muxed.hasVideo, true);
+    assert.equal(muxed.audioSampleRate, 44100);
+    assert.equal(muxed.contentLength, 14183471);
+
+    const [ciphered, , audio] = formats.adaptive;
+    assert.equal(ciphered.needsDecipher, true);
+    assert.equal(ciphered.url, null);
+    assert.equal(ciphered.qualityLabel, '1080p');
+    assert.equal(ciphered.fps, 25);
+    assert.equal(ciphered.hasAudio, false);
+    assert.deepEqual(
+      { hasVideo: audio.hasVideo, resolution: audio.resolution, fps: audio.fps, needsDecipher: audio.needsDecipher },
+      { hasVideo: false, resolution: null, fps: null, needsDecipher: false },
+    );
+    assert.deepEqual(resources.parseStreamingData({}).adaptive, []);
+  });
+
+  it('reads chapters from the chapter panels', () => {
+    const { source, chapters } = resources.parseChapters(
+      loadFixture('watch-initial-data.json'),
+      loadFixture('watch-player-response.json'),
+    );
+    assert.equal(source, 'markers');
+    assert.deepEqual(
+      chapters.map(x => [x.title, x.startSeconds, x.endSeconds]),
+      [['Intro', 0, 65], ['Couplet 1', 65, 150], ['Refrain', 150, 225]],
+    );
+    assert.equal(chapters[1].thumbnails[0].url, 'https://i.ytimg.com/vi/vid00000001/hqdefault_65000.jpg');
+  });
+
+  it('falls back to timestamps in the description', () => {
+    const playerResponse = {
+      videoDetails: {
+        lengthSeconds: '300',
+        shortDescription: 'Tracklist :\n0:00 Intro\n1:05 - Couplet 1\n(2:30) Refrain\nOutro – 4:10\nMerci !',
+      },
+    };
+    const { source, chapters } = resources.parseChapters({}, playerResponse);
+    assert.equal(source, 'description');
+    assert.deepEqual(
+      chapters.map(x => [x.title, x.startSeconds, x.endSeconds]),
+      [['Intro', 0, 65], ['Couplet 1', 65, 150], ['Refrain', 150, 250], ['Outro', 250, 300]],
+    );
+    assert.deepEqual(chapters[0].thumbnails, []);
+  });
+
+  it('ignores description timestamps YouTube would not turn into chapters', () => {
+    assert.deepEqual(resources.parseDescriptionChapters('1:00 a\n2:00 b\n3:00 c'), []);
+    assert.deepEqual(resources.parseDescriptionChapters('0:00 a\n2:00 b'), []);
+    assert.deepEqual(resources.parseDescriptionChapters('0:00 a\n2:00 b\n1:00 c'), []);
+    assert.deepEqual(resources.parseChapters(null, {}), { source: null, chapters: [] });
+  });
+
+  it('parses playlist items', () => {
+    const playlist = loadFixture('playlist-continuation.json');
+    const item = resources.parsePlaylistItem(
+      playlist.onResponseReceivedActions[0].appendContinuationItemsAction.continuationItems[0].playlistVideoRenderer,
+    );
+    assert.equal(item.id, 'vid00000003');
+    assert.equal(item.index, '3');
+    assert.equal(item.duration, '3:30');
+    assert.equal(item.channel.id, 'UCowner00000000000000001');
+  });
+
+  it('parses stream cards', () => {
+    const items = searchContents();
+    const live = resources.parseStreamCard(rendererFor(items, 'videoRenderer', 'live0000001'));
+    assert.equal(live.isLive, true);
+    assert.equal(live.isUpcoming, false);
+
+    const upcoming = resources.parseStreamCard(rendererFor(items, 'videoRenderer', 'upcoming001'));
+    assert.equal(upcoming.isLive, false);
+    assert.equal(upcoming.isUpcoming, true);
+    assert.equal(upcoming.scheduledStartAt, '2030-01-01T00:00:00.000Z');
+  });
+
+  it('parses both shorts layouts', () => {
+    const contents = loadFixture('channel-shorts.json').contents.twoColumnBrowseResultsRenderer.tabs.find(
+      x => x.tabRenderer.selected,
+    ).tabRenderer.content.richGridRenderer.contents;
+
+    const lockup = resources.parseShortsLockup(contents[0].richItemRenderer.content.shortsLockupViewModel);
+    assert.deepEqual(
+      { id: lockup.id, title: lockup.title, url: lockup.url, views: lockup.views },
+      { id: 'short000001', title: 'Studio session', url: 'https://www.youtube.com/shorts/short000001', views: 1234 },
+    );
+
+    const reel = resources.parseReelItem(contents[1].richItemRenderer.content.reelItemRenderer);
+    assert.equal(reel.id, 'short000002');
+    assert.equal(reel.title, 'Backstage');
+    assert.equal(reel.views, 567);
+  });
+
+  it('parses channel playlists', () => {
+    const playlist = resources.parseChannelPlaylist({
+      playlistId: 'PLgrid',
+      title: { simpleText: 'Clips' },
+      videoCountShortText: { simpleText: '17' },
+      thumbnail: { thumbnails: [{ url: 'https://i.ytimg.com/vi/x/hqdefault.jpg', width: 480, height: 360 }] },
+    });
+    assert.equal(playlist.url, 'https://www.youtube.com/playlist?list=PLgrid');
+    assert.equal(playlist.videoCount, 17);
+    assert.equal(playlist.thumbnails.length, 1);
+  });
+
+  it('parses the about view model and unwraps redirect links', () => {
+    const about = resources.parseAboutViewModel(
+      loadFixture('channel-about-continuation.json').onResponseReceivedEndpoints[0].appendContinuationItemsAction
+        .continuationItems[0].aboutChannelRenderer.metadata.aboutChannelViewModel,
+    );
+    assert.equal(about.country, 'France');
+    assert.equal(about.joinedDate, 'Inscrit le 3 mars 2006');
+    assert.equal(about.views, 987654321);
+    assert.equal(about.subscribers, 1200000);
+    assert.equal(about.subscribersText, '1,2 M d’abonnés');
+    assert.equal(about.subscriberCount, null);
+    assert.equal(about.videosCount, 250);
+    assert.deepEqual(about.links, [{ title: 'Site officiel', url: 'https://booba.fr/' }]);
+  });
+
+  it('gives an exact subscriber count only for counts that are not abbreviated', () => {
+    const subscriberCount = content =>
+      resources.parseAboutViewModel({ subscriberCountText: { content } }).subscriberCount;
+    for (const text of [
+      '1,2 mi de inscritos',
+      '2,5 bi de inscritos',
+      '12 mil suscriptores',
+      '1,2 M de suscriptores',
+      '1.2 million subscribers',
+      '3 Millionen Abonnenten',
+      '1,2 Mio. Abonnenten',
+    ]) {
+      assert.equal(subscriberCount(text), null, text);
+    }
+    assert.equal(subscriberCount('1 234 abonnés'), 1234);
+    assert.equal(subscriberCount('987 subscribers'), 987);
+  });
+});
+
+describe('comment parsers', () => {
+  it('resolves comment view models through entity mutations', () => {
+    const page = resources.parseCommentsPage(loadFixture('comments.json'));
+    assert.deepEqual(page.comments.map(x => x.id), ['UgxPinned', 'UgxFan']);
+    assert.equal(page.continuationToken, 'COMMENTS_PAGE_2');
+
+    const [pinned, fan] = page.comments;
+    assert.equal(pinned.text, 'Merci pour le soutien 🦍');
+    assert.deepEqual(
+      { name: pinned.author.name, id: pinned.author.id, isChannelOwner: pinned.author.isChannelOwner },
+      { name: '@booba', id: 'UCowner00000000000000001', isChannelOwner: true },
+    );
+    assert.equal(pinned.likes, 1200);
+    assert.equal(pinned.likesText, '1,2 k');
+    assert.equal(pinned.replyCount, 2);
+    assert.equal(pinned.isPinned, true);
+    assert.equal(pinned.isHearted, true);
+    assert.equal(pinned.publishedAt, 'il y a 2 ans (modifié)');
+    assert.equal(pinned.repliesPageToken, 'REPLIES_UgxPinned');
+
+    assert.equal(fan.likes, 57);
+    assert.equal(fan.replyCount, 0);
+    assert.equal(fan.isPinned, false);
+    assert.equal(fan.isHearted, false);
+    assert.equal(fan.repliesPageToken, null);
+  });
+
+  it('parses legacy comment renderers', () => {
+    const page = resources.parseCommentsPage(loadFixture('comments-new.json'));
+    assert.equal(page.continuationToken, null);
+    const [comment] = page.comments;
+    assert.equal(comment.text, 'Premier !');
+    assert.equal(comment.author.id, 'UCearly00000000000000001');
+    assert.equal(comment.author.thumbnails.length, 1);
+    assert.equal(comment.likes, 3);
+    assert.equal(comment.isHearted, true);
+    assert.equal(comment.publishedAt, 'il y a 1 minute');
+  });
+
+  it('parses replies and their show-more continuation', () => {
+    const page = resources.parseRepliesPage(loadFixture('comment-replies.json'));
+    assert.deepEqual(page.replies.map(x => x.id), ['UgxPinned.reply1', 'UgxPinned.reply2']);
+    assert.equal(page.replies[1].isHearted, true);
+    assert.equal(page.continuationToken, 'REPLIES_UgxPinned_2');
+  });
+});
+
+describe('captions', () => {
+  const cues = parseTimedText(readFixture('captions-srv3.xml'));
+
+  it('parses srv3 paragraphs with word timings and skips empty ones', () => {
+    assert.equal(cues.length, 2);
+    assert.equal(cues[0].text, "Bonjour l'ami");
+    assert.equal(cues[0].start, 1.2);
+    assert.equal(cues[0].end, 3.7);
+    assert.deepEqual(
+      cues[0].words.map(x => x.start),
+      [1.2, 1.68],
+    );
+    assert.equal(cues[1].text, 'C&A <3');
+  });
+
+  it('renders srt, vtt and text', () => {
+    assert.match(toSrt(cues), /^1\n00:00:01,200 --> 00:00:03,700\nBonjour l'ami\n/);
+    assert.match(toVtt(cues), /^WEBVTT\n\n00:00:01\.200 --> 00:00:03\.700\n/);
+    assert.equal(toText(cues), "Bonjour l'ami\nC&A <3");
+  });
+});
+
+describe('search filters', () => {
+  it('encodes sort and filters into sp', () => {
+    assert.equal(encodeSearchFilters({ sort: 'date' }), 'CAI=');
+    assert.equal(encodeSearchFilters({ uploadDate: 'week' }), 'EgIIAw==');
+    assert.equal(encodeSearchFilters({ sort: 'relevance' }), null);
+    assert.equal(encodeSearchFilters({}), null);
+  });
+
+  it('rejects unknown values', () => {
+    assert.throws(() => encodeSearchFilters({ duration: 'forever' }), BadRequestError);
+    assert.throws(() => encodeSearchFilters({ features: 'hd,smell-o-vision' }), BadRequestError);
+  });
+});
+
+describe('suggestions', () => {
+  it('parses jsonp and json answers', () => {
+    const jsonp = 'window.google.ac.h(["boo",[["booba",0,[512,433]],["boo radley",0,[512]]],{"k":1,"q":"x"}])';
+    assert.deepEqual(parseSuggestions(jsonp), ['booba', 'boo radley']);
+    assert.deepEqual(parseSuggestions('["boo",["booba","booba","boo radley"]]'), ['booba', 'boo radley']);
+  });
+
+  it('fails with a parse error on anything else', () => {
+    assert.throws(() => parseSuggestions('<html></html>'), ParseError);
+    assert.throws(() => parseSuggestions('{"q":"boo"}'), ParseError);
+  });
+});
+
+describe('normalize', () => {
+  const NOW = Date.parse('2025-06-15T12:00:00.000Z');
+
+  it('converts durations to seconds', () => {
+    assert.equal(parseDuration('3:45'), 225);
+    assert.equal(parseDuration('1:02:03'), 3723);
+    assert.equal(parseDuration('EN DIRECT'), null);
+    assert.equal(parseDuration(''), null);
+  });
+
+  it('reads full and abbreviated counts in every supported language', () => {
+    assert.equal(parseCount('1,234,567 views'), 1234567);
+    assert.equal(parseCount('1.2K views'), 1200);
+    assert.equal(parseCount('3B views'), 3e9);
+    assert.equal(parseCount('1 234 567 vues'), 1234567);
+    assert.equal(parseCount('1,2 M de vues'), 1200000);
+    assert.equal(parseCount('2,5 Md de vues'), 2.5e9);
+    assert.equal(parseCount('12 mil visualizaciones'), 12000);
+    assert.equal(parseCount('1,2 mil M de visualizaciones'), 1.2e9);
+    assert.equal(parseCount('12.345 Aufrufe'), 12345);
+    assert.equal(parseCount('1,2 Mio. Aufrufe'), 1200000);
+    assert.equal(parseCount('3 Mrd. Aufrufe'), 3e9);
+    assert.equal(parseCount('1,5 mi de visualizações'), 1500000);
+    assert.equal(parseCount('Aucune vue'), null);
+  });
+
+  it('approximates relative dates in every supported language', () => {
+    assert.equal(parseRelativeDate('3 days ago', NOW), '2025-06-12T12:00:00.000Z');
+    assert.equal(parseRelativeDate('Streamed 5 hours ago', NOW), '2025-06-15T07:00:00.000Z');
+    assert.equal(parseRelativeDate('il y a 2 semaines', NOW), '2025-06-01T12:00:00.000Z');
+    assert.equal(parseRelativeDate('hace 1 mes', NOW), '2025-05-16T12:00:00.000Z');
+    assert.equal(parseRelativeDate('vor 10 Minuten', NOW), '2025-06-15T11:50:00.000Z');
+    assert.equal(parseRelativeDate('há 1 ano', NOW), '2024-06-15T12:00:00.000Z');
+    assert.equal(parseRelativeDate('Premiered Mar 3, 2024', NOW), null);
+    assert.equal(parseRelativeDate('', NOW), null);
+  });
+});
@@ -0,0 +1,102 @@
+const assert = require('node:assert/strict');
+const { describe, it } = require('node:test');
+
+const { createLimiter, parseConfig, DEFAULT_KEY_LIMITS } = require('../rateLimit');
+const { RateLimitedError, UnauthorizedError } = require('../errors');
+
+const fakeClock = (start = Date.UTC(2026, 0, 1, 23, 59, 0)) => {
+  let time = start;
+  return { now: () => time, advance: ms => (time += ms) };
+};
+
+describe('parseConfig', () => {
+  it('fills in default limits and names', () => {
+    const { keys, anonymous } = parseConfig({ keys: [{ key: 'abc', rate: 10 }], anonymous: { burst: 5 } });
+    assert.deepEqual(keys.get('abc'), { name: 'key-1', limits: Object.assign({}, DEFAULT_KEY_LIMITS, { rate: 10 }) });
+    assert.equal(anonymous.burst, 5);
+    assert.equal(parseConfig({ anonymous: null }).anonymous, null);
+  });
+
+  it('rejects invalid limits and duplicate keys', () => {
+    assert.throws(() => parseConfig({ keys: [{ key: 'abc', burst: -1 }] }), /keys\[0\]: invalid burst/);
+    assert.throws(() => parseConfig({ keys: [{ key: 'abc' }, { key: 'abc' }] }), /keys\[1\]: duplicate key/);
+    assert.throws(() => parseConfig({ keys: [{ name: 'nameless' }] }), /key is required/);
+    assert.throws(() => parseConfig({ anonymous: { dailyQuota: 1.5 } }), /anonymous: invalid dailyQuota/);
+  });
+});
+
+describe('createLimiter', () => {
+  const config = () =>
+    parseConfig({
+      anonymous: { rate: 1, burst: 2, dailyQuota: 0 },
+      keys: [{ key: 'k1', name: 'partner', rate: 0.5, burst: 3, dailyQuota: 4 }],
+    });
+
+  it('identifies keys and falls back to the client ip', () => {
+    const limiter = createLimiter(config());
+    assert.equal(limiter.identify('k1', '10.0.0.1').name, 'partner');
+    assert.equal(limiter.identify(null, '10.0.0.1').id, 'ip:10.0.0.1');
+    assert.throws(() => limiter.identify('nope', '10.0.0.1'), error => {
+      assert.ok(error instanceof UnauthorizedError);
+      assert.equal(error.code, 'invalid_api_key');
+      return true;
+    });
+
+    const keysOnly = createLimiter(parseConfig({ anonymous: null }));
+    assert.throws(() => keysOnly.identify(null, '10.0.0.1'), /api key is required/);
+  });
+
+  it('refills the bucket over time and says when to retry', () => {
+    const clock = fakeClock();
+    const limiter = createLimiter(Object.assign(config(), { now: clock.now }));
+    const client = limiter.identify(null, '10.0.0.1');
+
+    assert.deepEqual(limiter.consume(client).headers, {
+      'x-ratelimit-limit': '2',
+      'x-ratelimit-remaining': '1',
+      'x-ratelimit-reset': '1',
+    });
+    assert.equal(limiter.consume(client).error, null);
+
+    const { headers, error } = limiter.consume(client);
+    assert.ok(error instanceof RateLimitedError);
+    assert.equal(error.code, 'rate_limited');
+    assert.equal(error.retryAfter, 1);
+    assert.equal(headers['x-ratelimit-remaining'], '0');
+
+    // Other clients have their own bucket.
+    assert.equal(limiter.consume(limiter.identify(null, '10.0.0.2')).error, null);
+
+    clock.advance(1000);
+    assert.equal(limiter.consume(client).error, null);
+  });
+
+  it('enforces the daily quota until the next UTC day', () => {
+    const clock = fakeClock();
+    const limiter = createLimiter(Object.assign(config(), { now: clock.now }));
+    const client = limiter.identify('k1', '10.0.0.1');
+
+    const first = limiter.consume(client, 3);
+    assert.equal(first.error, null);
+    assert.equal(first.headers['x-ratelimit-quota-remaining'], '1');
+    assert.equal(first.headers['x-ratelimit-quota-reset'], '60');
+
+    clock.advance(10_000);
+    const over = limiter.consume(client, 2);
+    assert.equal(over.error.code, 'quota_exceeded');
+    assert.equal(over.error.retryAfter, 50);
+    assert.equal(over.headers['x-ratelimit-quota-remaining'], '1');
+
+    clock.advance(50_000);
+    const nextDay = limiter.consume(client, 2);
+    assert.equal(nextDay.error, null);
+    assert.equal(nextDay.headers['x-ratelimit-quota-remaining'], '2');
+  });
+
+  it('caps costs above the burst to a full bucket', () => {
+    const limiter = createLimiter(config());
+    const client = limiter.identify(null, '10.0.0.1');
+    assert.equal(limiter.consume(client, 10).error, null);
+    assert.equal(limiter.consume(client).error.code, 'rate_limited');
+  });
+});
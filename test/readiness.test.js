@@ -0,0 +1,124 @@
+const assert = require('node:assert/strict');
+const { after, before, describe, it } = require('node:test');
+
+const upstream = require('../upstream');
+const { buildCanaries, createReadiness } = require('../readiness');
+const { UpstreamRateLimitedError } = require('../errors');
+const { registry } = require('../metrics');
+const { startStandIn } = require('./helpers/standIn');
+
+const fakeClock = (start = Date.UTC(2026, 0, 1)) => {
+  let time = start;
+  return { now: () => time, advance: ms => (time += ms) };
+};
+
+const canaryParseFailures = () => {
+  const match = registry.render().match(/^ytr_parse_failures_total\{extractor="canary"\} (\d+)$/m);
+  return match ? Number(match[1]) : 0;
+};
+
+describe('createReadiness', () => {
+  it('is not ready before the canaries ran', () => {
+    const readiness = createReadiness({ checks: [{ name: 'search', run: async () => ({}), fields: [] }] });
+    const report = readiness.report();
+    assert.equal(report.ready, false);
+    assert.equal(report.checkedAt, null);
+    assert.equal(report.checks.search.ok, null);
+  });
+
+  it('reports each extractor with its last success and last failure', async () => {
+    const clock = fakeClock();
+    let answer = { items: [{ id: 'vid00000001', title: 'Petite fille' }] };
+    const readiness = createReadiness({
+      now: clock.now,
+      checks: [
+        { name: 'search', run: async () => answer, fields: ['items', 'items.0.id', 'items.0.title'] },
+        { name: 'video', run: async () => ({ id: 'vid00000001' }), fields: ['id'] },
+      ],
+    });
+
+    const healthy = await readiness.runChecks();
+    assert.equal(healthy.ready, true);
+    assert.equal(healthy.checkedAt, '2026-01-01T00:00:00.000Z');
+    assert.equal(healthy.checks.search.lastSuccessAt, '2026-01-01T00:00:00.000Z');
+    assert.equal(healthy.checks.search.lastFailure, null);
+
+    clock.advance(60_000);
+    answer = { items: [{ id: 'vid00000001', title: '' }] };
+    const broken = await readiness.runChecks();
+    assert.equal(broken.ready, false);
+    assert.equal(broken.checks.search.ok, false);
+    assert.equal(broken.checks.search.lastSuccessAt, '2026-01-01T00:00:00.000Z');
+    assert.equal(broken.checks.search.lastFailureAt, '2026-01-01T00:01:00.000Z');
+    assert.deepEqual(broken.checks.search.lastFailure, {
+      code: 'parse_error',
+      message: 'canary answer is missing items.0.title',
+    });
+    assert.equal(broken.checks.video.ok, true);
+  });
+
+  it('counts canaries that could not be parsed as parse failures', async () => {
+    const readiness = createReadiness({ checks: [{ name: 'canary', run: async () => ({}), fields: ['id'] }] });
+    const before = canaryParseFailures();
+    await readiness.runChecks();
+    assert.equal(canaryParseFailures(), before + 1);
+  });
+
+  it('keeps the error code of failing canaries', async () => {
+    const readiness = createReadiness({
+      checks: [{ name: 'video', run: () => Promise.reject(new UpstreamRateLimitedError('slow down')), fields: [] }],
+    });
+    const report = await readiness.runChecks();
+    assert.equal(report.ready, false);
+    assert.equal(report.checks.video.lastFailure.code, 'upstream_rate_limited');
+  });
+
+  it('runs the canaries on the first call only and reports the last run after that', async () => {
+    const clock = fakeClock();
+    for (const intervalMs of [1000, 0]) {
+      let runs = 0;
+      const readiness = createReadiness({
+        now: clock.now,
+        intervalMs,
+        checks: [{ name: 'search', run: async () => ({ ok: ++runs }), fields: ['ok'] }],
+      });
+
+      await Promise.all([readiness.get(), readiness.get()]);
+      assert.equal(runs, 1);
+      clock.advance(5000);
+      const report = await readiness.get();
+      assert.equal(runs, 1);
+      assert.equal(report.ready, true);
+    }
+  });
+});
+
+describe('buildCanaries', () => {
+  let standIn;
+  const runCanaries = videoId => createReadiness({ checks: buildCanaries({ query: 'booba', videoId }) }).runChecks();
+
+  before(async () => {
+    standIn = await startStandIn();
+    upstream.configure({ baseUrl: standIn.url, retries: 0 });
+  });
+
+  after(async () => {
+    upstream.configure({ baseUrl: '' });
+    await standIn.close();
+  });
+
+  it('is ready while the stand-in pages parse', async () => {
+    const report = await runCanaries('vid00000001');
+    assert.equal(report.ready, true);
+  });
+
+  it('fails the video canary when the streaming data stops parsing', async () => {
+    const report = await runCanaries('nostreams');
+    assert.equal(report.ready, false);
+    assert.equal(report.checks.search.ok, true);
+    assert.deepEqual(report.checks.video.lastFailure, {
+      code: 'parse_error',
+      message: 'canary answer is missing formats.adaptive',
+    });
+  });
+});
@@ -0,0 +1,105 @@
+const assert = require('node:assert/strict');
+const { describe, it } = require('node:test');
+
+const { ROUTES, matchRoute, validateRequest } = require('../routes');
+const { buildOpenApi } = require('../openapi');
+const { ValidationError } = require('../errors');
+
+const validate = (method, path, body) => {
+  const url = new URL(path, 'http://localhost');
+  const { route, pathParams } = matchRoute(method, url.pathname);
+  return validateRequest(route, { pathParams, query: url.searchParams, body });
+};
+
+const fieldsOf = fn => {
+  try {
+    fn();
+  } catch (error) {
+    assert.ok(error instanceof ValidationError);
+    return error.fields.map(x => `${x.in}.${x.name}`);
+  }
+  return assert.fail('expected a ValidationError');
+};
+
+describe('route table', () => {
+  it('matches the most specific route first', () => {
+    const names = path => matchRoute('GET', path).route.name;
+    assert.equal(names('/api/video/abc/formats'), 'video_formats');
+    assert.equal(names('/api/video/abc/comments/Ugx1/replies'), 'comment_replies');
+    assert.equal(names('/api/video/abc'), 'video_get');
+    assert.equal(names('/api/channel/@booba/shorts'), 'channel_tab');
+    assert.equal(names('/api/channel/c/booba'), 'channel_get');
+    assert.equal(matchRoute('POST', '/api/video/abc'), null);
+    assert.equal(matchRoute('GET', '/api/nope'), null);
+  });
+
+  it('decodes path parameters and keeps slashes in rest parameters', () => {
+    assert.deepEqual(validate('GET', '/api/channel/c/booba'), { id: 'c/booba' });
+    assert.deepEqual(validate('GET', '/api/video/https%3A%2F%2Fyoutu.be%2Fabc'), { id: 'https://youtu.be/abc' });
+    assert.deepEqual(fieldsOf(() => validate('GET', '/api/video/%E0%A4%A')), ['path.id']);
+  });
+
+  it('coerces query values to their declared types', () => {
+    assert.deepEqual(validate('GET', '/api/search?query=booba&limit=5&features=hd,%204k&hl='), {
+      q: 'booba',
+      limit: 5,
+      features: ['hd', '4k'],
+    });
+    assert.deepEqual(validate('GET', '/api/video/abc/formats?audioOnly&videoOnly=0'), {
+      id: 'abc',
+      audioOnly: true,
+      videoOnly: false,
+    });
+  });
+
+  it('lists every bad field at once', () => {
+    assert.deepEqual(fieldsOf(() => validate('GET', '/api/search?type=bogus&limit=0&features=hd,smell&engine=x')), [
+      'query.type',
+      'query.limit',
+      'query.features',
+      'query.engine',
+      'query.q',
+    ]);
+    assert.deepEqual(fieldsOf(() => validate('GET', '/api/playlist/PL1?all=maybe&limit=2.5')), [
+      'query.limit',
+      'query.all',
+    ]);
+  });
+
+  it('validates json bodies', () => {
+    assert.deepEqual(validate('POST', '/api/search', { query: 'booba', limit: '3', features: ['hd'] }), {
+      q: 'booba',
+      limit: 3,
+      features: ['hd'],
+    });
+    assert.deepEqual(fieldsOf(() => validate('POST', '/api/search', { q: 42, type: 'video' })), ['body.q']);
+    assert.deepEqual(fieldsOf(() => validate('POST', '/api/batch', { operations: [], concurrency: 99 })), [
+      'body.operations',
+      'body.concurrency',
+    ]);
+    assert.deepEqual(fieldsOf(() => validate('POST', '/api/batch', [])), ['body.body', 'body.operations']);
+  });
+
+  it('describes every route in the OpenAPI document', () => {
+    const doc = buildOpenApi();
+    assert.equal(doc.openapi, '3.0.3');
+    for (const route of ROUTES) {
+      const operation = doc.paths[route.path.replace('*', '')][route.method.toLowerCase()];
+      assert.equal(operation.operationId, route.name);
+      if (route.response) assert.ok(doc.components.schemas[route.response], route.response);
+    }
+    const search = doc.paths['/api/search'].get;
+    assert.deepEqual(search.parameters.find(x => x.name === 'type').schema.enum, [
+      'video',
+      'short',
+      'playlist',
+      'channel',
+      'all',
+    ]);
+    const { responses } = doc.paths['/api/video/{id}/formats'].get;
+    assert.equal(responses[400].content['application/json'].schema.$ref, '#/components/schemas/Error');
+    assert.deepEqual(doc.paths['/api/batch'].post.requestBody.content['application/json'].schema.required, [
+      'operations',
+    ]);
+  });
+});
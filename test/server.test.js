@@ -0,0 +1,684 @@
+const assert = require('node:assert/strict');
+const { execFile } = require('child_process');
+const FS = require('fs');
+const os = require('os');
+const PATH = require('path');
+const { promisify } = require('util');
+const { after, before, describe, it } = require('node:test');
+
+const upstream = require('../upstream');
+const { startStandIn, CLIENT_VERSION } = require('./helpers/standIn');
+
+let standIn;
+let server;
+let baseUrl;
+const apiKeysFile = PATH.join(os.tmpdir(), `ytr-api-keys-${process.pid}.json`);
+
+const get = (path, headers = {}) => fetch(`${baseUrl}${path}`, { headers });
+const getJson = async path => {
+  const res = await get(path);
+  return { res, body: await res.json() };
+};
+const calls = (method, path) => standIn.requests.filter(x => x.method === method && x.path === path).length;
+
+before(async () => {
+  standIn = await startStandIn();
+  process.env.READY_CANARY_VIDEO_ID = 'vid00000001';
+  FS.writeFileSync(
+    apiKeysFile,
+    JSON.stringify({
+      anonymous: { rate: 1000, burst: 1000 },
+      keys: [{ key: 'tiny-key', name: 'tiny', rate: 0.001, burst: 2, dailyQuota: 3 }],
+    }),
+  );
+  process.env.API_KEYS_FILE = apiKeysFile;
+  server = require('../server');
+  upstream.configure({ baseUrl: standIn.url, retries: 0 });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  await new Promise(resolve => server.close(resolve));
+  await standIn.close();
+  upstream.configure({ baseUrl: '' });
+  FS.rmSync(apiKeysFile, { force: true });
+});
+
+describe('service routes', () => {
+  it('answers /health and CORS preflights', async () => {
+    const { res, body } = await getJson('/health');
+    assert.equal(res.status, 200);
+    assert.deepEqual(body, { ok: true });
+
+    const preflight = await fetch(`${baseUrl}/api/search`, { method: 'OPTIONS' });
+    assert.equal(preflight.status, 204);
+    assert.equal(preflight.headers.get('access-control-allow-origin'), '*');
+  });
+
+  it('answers /ready once the canaries parse', async () => {
+    const { res, body } = await getJson('/ready');
+    assert.equal(res.status, 200);
+    assert.equal(body.ready, true);
+    assert.deepEqual(Object.keys(body.checks), ['search', 'video']);
+    assert.equal(body.checks.video.ok, true);
+    assert.ok(body.checks.search.lastSuccessAt);
+    assert.equal(body.checks.search.lastFailure, null);
+  });
+
+  it('lists the routes on unknown paths', async () => {
+    const { res, body } = await getJson('/nope');
+    assert.equal(res.status, 404);
+    assert.equal(body.code, 'not_found');
+    assert.equal(body.routes.search_get, 'GET /api/search?q=booba&type=video&limit=5');
+    assert.equal(body.docs, '/docs');
+  });
+
+  it('serves the OpenAPI document and the docs page', async () => {
+    const { res, body } = await getJson('/openapi.json');
+    assert.equal(res.status, 200);
+    assert.equal(body.servers[0].url, baseUrl);
+    assert.ok(body.paths['/api/video/{id}/chapters'].get);
+
+    const docs = await get('/docs');
+    assert.match(docs.headers.get('content-type'), /^text\/html/);
+    assert.match(await docs.text(), /<code>GET \/api\/video\/\{id\}\/formats<\/code>/);
+  });
+
+  it('rejects invalid parameters with the list of bad fields', async () => {
+    const fetched = calls('GET', '/results');
+    const { res, body } = await getJson('/api/search?q=booba&type=bogus&limit=-1');
+    assert.equal(res.status, 400);
+    assert.equal(body.code, 'bad_request');
+    assert.deepEqual(body.fields.map(x => `${x.in}.${x.name}`), ['query.type', 'query.limit']);
+    assert.match(body.fields[0].message, /must be one of video, short/);
+    assert.equal(calls('GET', '/results'), fetched);
+
+    assert.equal((await get('/api/video/vid00000001/formats?audioOnly=maybe')).status, 400);
+    assert.equal((await get('/api/channel/@booba/videos?limit=lots')).status, 400);
+  });
+});
+
+describe('GET /api/search', () => {
+  it('returns items and resumes from nextPageToken', async () => {
+    const first = await getJson('/api/search?q=booba&type=all&limit=5');
+    assert.equal(first.res.status, 200);
+    assert.equal(first.body.engine, 'html');
+    assert.equal(first.body.estimatedResults, 1234);
+    assert.deepEqual(
+      first.body.items.map(x => `${x.type}:${x.id}`),
+      [
+        'video:vid00000001',
+        'video:live0000001',
+        'video:upcoming001',
+        'video:show0000001',
+        'short:short000003',
+      ],
+    );
+    assert.ok(first.body.nextPageToken);
+
+    const second = await getJson(`/api/search?pageToken=${first.body.nextPageToken}&limit=10`);
+    assert.deepEqual(second.body.items.map(x => x.id), [
+      'short000004',
+      'PLnormal0000000000000000000000001',
+      'OLAK5uy_auto000000000000000000000000001',
+      'UCowner00000000000000001',
+      'vid00000002',
+      'vid00000003',
+      'lock0000001',
+      'PLlockup000000000000000000000001',
+    ]);
+    assert.deepEqual(second.body.items.slice(-2).map(x => x.renderer), ['lockupViewModel', 'lockupViewModel']);
+    assert.equal(second.body.nextPageToken, null);
+    const continuation = standIn.requests.find(x => x.path === '/youtubei/v1/search');
+    assert.equal(continuation.body.continuation, 'SEARCH_PAGE_2');
+  });
+
+  it('reads abbreviated french view counts with both engines', async () => {
+    for (const engine of ['html', 'innertube']) {
+      const { res, body } = await getJson(`/api/search?q=${encodeURIComponent('vues abregees')}&engine=${engine}`);
+      assert.equal(res.status, 200, engine);
+      assert.equal(body.engine, engine);
+      assert.equal(body.items[0].views, 1200000, engine);
+      assert.equal(body.items[0].viewsText, '1,2 M de vues', engine);
+    }
+  });
+
+  it('gives playlists the same shape with both engines', async () => {
+    const html = await getJson('/api/search?q=booba&type=playlist&engine=html');
+    const innertube = await getJson('/api/search?q=booba&type=playlist&engine=innertube');
+    assert.equal(innertube.res.status, 200);
+    const [expected, actual] = [html.body.items[0], innertube.body.items[0]];
+    assert.deepEqual(Object.keys(actual).sort(), Object.keys(expected).sort());
+    assert.equal(actual.id, expected.id);
+    assert.ok(actual.thumbnails.length);
+    assert.deepEqual(actual.thumbnails, expected.thumbnails);
+    assert.equal(innertube.body.nextPageToken, null);
+  });
+
+  it('sends filters as sp', async () => {
+    await getJson('/api/search?q=filters&sort=date');
+    const call = standIn.requests.find(x => x.path === '/results' && x.query.get('search_query') === 'filters');
+    assert.equal(call.query.get('sp'), 'CAI=');
+  });
+
+  it('rejects missing queries, bad filters and bad page tokens', async () => {
+    for (const path of ['/api/search', '/api/search?q=x&sort=loudest', '/api/search?pageToken=garbage']) {
+      const { res, body } = await getJson(path);
+      assert.equal(res.status, 400, path);
+      assert.equal(body.code, 'bad_request');
+    }
+  });
+
+  it('serves repeated searches from the cache with validators', async () => {
+    const fetched = calls('GET', '/results');
+    const first = await get('/api/search?q=cached');
+    const etag = first.headers.get('etag');
+    assert.ok(etag);
+    assert.match(first.headers.get('cache-control'), /max-age=\d+/);
+
+    const revalidated = await get('/api/search?q=cached', { 'if-none-match': etag });
+    assert.equal(revalidated.status, 304);
+    assert.equal(calls('GET', '/results'), fetched + 1);
+  });
+});
+
+describe('POST /api/search', () => {
+  it('accepts a json body', async () => {
+    const res = await fetch(`${baseUrl}/api/search`, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json' },
+      body: JSON.stringify({ q: 'booba post', type: 'channel' }),
+    });
+    const body = await res.json();
+    assert.equal(res.status, 200);
+    assert.deepEqual(body.items.map(x => x.id), ['UCowner00000000000000001']);
+  });
+
+  it('rejects invalid json', async () => {
+    const res = await fetch(`${baseUrl}/api/search`, { method: 'POST', body: '{nope' });
+    assert.equal(res.status, 400);
+    assert.equal((await res.json()).message, 'invalid json body');
+  });
+});
+
+describe('POST /api/batch', () => {
+  const postBatch = async body => {
+    const res = await fetch(`${baseUrl}/api/batch`, {
+      method: 'POST',
+      headers: { 'content-type': 'application/json' },
+      body: JSON.stringify(body),
+    });
+    return { res, body: await res.json() };
+  };
+
+  it('runs mixed operations and allows partial success', async () => {
+    const { res, body } = await postBatch({
+      operations: [
+        { op: 'video', id: 'vid00000001', relatedLimit: 1 },
+        { op: 'search', q: 'booba batch', type: 'channel' },
+        { op: 'channel', id: '@booba' },
+        { op: 'video', id: 'gone' },
+        { op: 'search', q: 'booba', type: 'bogus' },
+      ],
+      concurrency: 2,
+    });
+    assert.equal(res.status, 200);
+    assert.deepEqual(body.results.map(x => x.ok), [true, true, true, false, false]);
+    assert.equal(body.results[0].value.title, 'Booba - Petite fille');
+    assert.deepEqual(body.results[1].value.items.map(x => x.id), ['UCowner00000000000000001']);
+    assert.equal(body.results[2].value.id, 'UCowner00000000000000001');
+    assert.deepEqual(body.results[3].error, {
+      status: 404,
+      code: 'not_found',
+      message: 'Video unavailable',
+      retryable: false,
+    });
+    assert.equal(body.results[4].error.message, 'invalid type: use one of video, short, playlist, channel, all');
+    assert.deepEqual([body.succeeded, body.failed], [3, 2]);
+  });
+
+  it('shares the route cache', async () => {
+    await getJson('/api/playlist/PLbatch0000000000000000000000001');
+    const before = calls('GET', '/playlist');
+    const { body } = await postBatch({ operations: [{ op: 'playlist', id: 'PLbatch0000000000000000000000001' }] });
+    assert.equal(body.results[0].ok, true);
+    assert.equal(calls('GET', '/playlist'), before);
+  });
+
+  it('rejects a missing operation list', async () => {
+    assert.equal((await postBatch({})).res.status, 400);
+    assert.equal((await postBatch({ operations: [] })).res.status, 400);
+  });
+});
+
+describe('GET /api/suggest', () => {
+  it('returns ranked suggestions and caches them', async () => {
+    const { res, body } = await getJson('/api/suggest?q=booba&limit=3');
+    assert.equal(res.status, 200);
+    assert.deepEqual(body, { query: 'booba', suggestions: ['booba', 'booba clip', 'booba live'] });
+    const call = standIn.requests.find(x => x.path === '/complete/search');
+    assert.equal(call.query.get('client'), 'youtube');
+    assert.equal(call.query.get('hl'), 'fr');
+
+    await getJson('/api/suggest?q=booba&limit=3');
+    assert.equal(calls('GET', '/complete/search'), 1);
+  });
+
+  it('requires a query', async () => {
+    assert.equal((await get('/api/suggest')).status, 400);
+  });
+});
+
+describe('GET /api/video/:id', () => {
+  it('returns details, captions and related videos', async () => {
+    const { res, body } = await getJson('/api/video/vid00000001?relatedLimit=5');
+    assert.equal(res.status, 200);
+    assert.equal(body.title, 'Booba - Petite fille');
+    assert.equal(body.durationSeconds, 225);
+    assert.equal(body.category, 'Music');
+    assert.deepEqual(body.captions.map(x => x.languageCode), ['en', 'fr']);
+    assert.deepEqual(
+      body.related.map(x => `${x.renderer}:${x.id}`),
+      ['compactVideoRenderer:rel00000001', 'compactVideoRenderer:rel00000002', 'lockupViewModel:rel00000003'],
+    );
+  });
+
+  it('tells Shorts apart and accepts /shorts/ urls', async () => {
+    assert.equal((await getJson('/api/video/vid00000001')).body.isShort, false);
+
+    const short = await getJson('/api/video/short000001');
+    assert.equal(short.body.isShort, true);
+    assert.equal(short.body.url, 'https://www.youtube.com/shorts/vid00000001');
+
+    const shortUrl = encodeURIComponent('https://youtube.com/shorts/short000002');
+    for (const path of ['/api/video/shorts/short000002', `/api/video/${shortUrl}`]) {
+      const { res } = await getJson(path);
+      assert.equal(res.status, 200, path);
+      assert.ok(standIn.requests.some(x => x.path === '/watch' && x.query.get('v') === 'short000002'));
+    }
+    // Short-ness comes from the watch page itself, without probing /shorts/, whatever url was given.
+    assert.ok(!standIn.requests.some(x => x.method === 'HEAD'));
+    const regular = await getJson('/api/video/shorts/vid00000002');
+    assert.equal(regular.body.isShort, false);
+    assert.equal(regular.body.url, 'https://www.youtube.com/watch?v=vid00000001');
+  });
+
+  it('maps upstream failures to error statuses', async () => {
+    const gone = await getJson('/api/video/gone');
+    assert.equal(gone.res.status, 404);
+    assert.equal(gone.body.message, 'Video unavailable');
+
+    const limited = await getJson('/api/video/ratelimited');
+    assert.equal(limited.res.status, 429);
+    assert.equal(limited.res.headers.get('retry-after'), '7');
+    assert.equal(limited.body.retryable, true);
+
+    const broken = await getJson('/api/video/broken');
+    assert.equal(broken.res.status, 502);
+    assert.equal(broken.body.code, 'parse_error');
+  });
+});
+
+describe('GET /api/video/:id/chapters', () => {
+  it('returns chapters with their bounds', async () => {
+    const { res, body } = await getJson('/api/video/vid00000001/chapters');
+    assert.equal(res.status, 200);
+    assert.equal(body.videoId, 'vid00000001');
+    assert.equal(body.source, 'markers');
+    assert.deepEqual(body.chapters.map(x => x.startSeconds), [0, 65, 150]);
+    assert.equal(body.chapters[2].endSeconds, 225);
+    assert.deepEqual((await getJson('/api/video/vid00000001')).body.chapters, body.chapters);
+    assert.equal((await get('/api/video/gone/chapters')).status, 404);
+  });
+});
+
+describe('GET /api/video/:id/formats', () => {
+  it('lists muxed and adaptive formats', async () => {
+    const { res, body } = await getJson('/api/video/vid00000001/formats');
+    assert.equal(res.status, 200);
+    assert.equal(body.videoId, 'vid00000001');
+    assert.deepEqual(body.muxed.map(x => x.itag), [18]);
+    assert.deepEqual(body.adaptive.map(x => x.itag), [137, 248, 140, 251]);
+    assert.equal((await getJson('/api/video/vid00000001')).body.formats.adaptive.length, 4);
+  });
+
+  it('filters audio-only and video-only renditions', async () => {
+    const audio = await getJson('/api/video/vid00000001/formats?audioOnly');
+    assert.deepEqual(audio.body.muxed, []);
+    assert.deepEqual(audio.body.adaptive.map(x => x.itag), [140, 251]);
+
+    const video = await getJson('/api/video/vid00000001/formats?videoOnly=true');
+    assert.deepEqual(video.body.adaptive.map(x => x.itag), [137, 248]);
+
+    assert.equal((await get('/api/video/vid00000001/formats?audioOnly&videoOnly')).status, 400);
+    assert.equal((await get('/api/video/gone/formats')).status, 404);
+  });
+});
+
+describe('GET /api/video/:id/captions/:lang', () => {
+  it('returns cues as json', async () => {
+    const { res, body } = await getJson('/api/video/vid00000001/captions/en');
+    assert.equal(res.status, 200);
+    assert.equal(body.languageCode, 'en');
+    assert.equal(body.cues[0].text, "Bonjour l'ami");
+    const call = standIn.requests.find(x => x.path === '/api/timedtext');
+    assert.equal(call.query.get('fmt'), 'srv3');
+  });
+
+  it('translates through tlang when the language has no track', async () => {
+    const { body } = await getJson('/api/video/vid00000001/captions/de');
+    assert.equal(body.languageCode, 'de');
+    assert.equal(body.translatedFrom, 'en');
+    assert.ok(standIn.requests.some(x => x.path === '/api/timedtext' && x.query.get('tlang') === 'de'));
+  });
+
+  it('renders subtitle formats', async () => {
+    const res = await get('/api/video/vid00000001/captions/en?format=vtt');
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get('content-type'), /^text\/vtt/);
+    assert.match(await res.text(), /^WEBVTT/);
+
+    const invalid = await get('/api/video/vid00000001/captions/en?format=doc');
+    assert.equal(invalid.status, 400);
+  });
+});
+
+describe('GET /api/video/:id/comments', () => {
+  it('loads the comments section continuation from the watch page', async () => {
+    const { res, body } = await getJson('/api/video/vid00000001/comments');
+    assert.equal(res.status, 200);
+    assert.equal(body.commentCount, 1234);
+    assert.deepEqual(body.comments.map(x => x.id), ['UgxPinned', 'UgxFan']);
+    assert.equal(body.continuationToken, 'COMMENTS_PAGE_2');
+    const call = standIn.requests.find(x => x.path === '/youtubei/v1/next');
+    assert.equal(call.body.context.client.clientVersion, CLIENT_VERSION);
+
+    const next = await getJson(`/api/video/vid00000001/comments?pageToken=${body.continuationToken}`);
+    assert.deepEqual(next.body.comments.map(x => x.id), ['UgxOlder']);
+    assert.equal(next.body.continuationToken, null);
+  });
+
+  it('switches to newest first through the sort menu', async () => {
+    const { body } = await getJson('/api/video/vid00000001/comments?sort=new');
+    assert.deepEqual(body.comments.map(x => x.id), ['UgxNewest']);
+    assert.ok(standIn.requests.some(x => x.path === '/youtubei/v1/next' && x.body.continuation === 'COMMENTS_NEW'));
+
+    const invalid = await getJson('/api/video/vid00000001/comments?sort=loudest');
+    assert.equal(invalid.res.status, 400);
+  });
+
+  it('pages through reply threads', async () => {
+    const { res, body } = await getJson('/api/video/vid00000001/comments/UgxPinned/replies');
+    assert.equal(res.status, 200);
+    assert.deepEqual(body.replies.map(x => x.id), ['UgxPinned.reply1', 'UgxPinned.reply2']);
+    assert.equal(body.continuationToken, 'REPLIES_UgxPinned_2');
+    assert.ok(standIn.requests.some(x => x.path === '/watch' && x.query.get('lc') === 'UgxPinned'));
+
+    const direct = await getJson('/api/video/vid00000001/comments/UgxPinned/replies?pageToken=REPLIES_UgxPinned');
+    assert.deepEqual(direct.body.replies.map(x => x.id), ['UgxPinned.reply1', 'UgxPinned.reply2']);
+  });
+
+  it('answers 404 for unknown comments and videos', async () => {
+    assert.equal((await get('/api/video/vid00000001/comments/UgxNope/replies')).status, 404);
+    assert.equal((await get('/api/video/gone/comments')).status, 404);
+  });
+});
+
+describe('GET /api/playlist/:id', () => {
+  it('returns the first page with a continuation token', async () => {
+    const { res, body } = await getJson('/api/playlist/PLnormal0000000000000000000000001');
+    assert.equal(res.status, 200);
+    assert.equal(body.title, 'Best of Booba');
+    assert.equal(body.videoCount, 3);
+    assert.deepEqual(body.channel, { name: 'Booba', id: 'UCowner00000000000000001' });
+    assert.deepEqual(body.videos.map(x => x.id), ['vid00000001', 'vid00000002']);
+    assert.equal(body.continuationToken, 'PLAYLIST_PAGE_2');
+
+    const next = await getJson(`/api/playlist/PLnormal0000000000000000000000001?pageToken=${body.continuationToken}`);
+    assert.deepEqual(next.body.videos.map(x => x.id), ['vid00000003']);
+    assert.equal(next.body.continuationToken, null);
+  });
+
+  it('resumes a page cut by limit without losing videos', async () => {
+    const ids = [];
+    let path = '/api/playlist/PLnormal0000000000000000000000001?limit=1';
+    for (let page = 0; page < 5 && path; page++) {
+      const { body } = await getJson(path);
+      ids.push(...body.videos.map(x => x.id));
+      path = body.continuationToken
+        ? `/api/playlist/PLnormal0000000000000000000000001?limit=1&pageToken=${body.continuationToken}`
+        : null;
+    }
+    assert.deepEqual(ids, ['vid00000001', 'vid00000002', 'vid00000003']);
+    assert.equal(path, null);
+  });
+
+  it('follows every continuation with all=true', async () => {
+    const { body } = await getJson('/api/playlist/PLnormal0000000000000000000000001?all=true');
+    assert.deepEqual(body.videos.map(x => x.id), ['vid00000001', 'vid00000002', 'vid00000003']);
+    assert.equal(body.continuationToken, null);
+  });
+
+  it('answers 404 for unknown playlists', async () => {
+    const { res, body } = await getJson('/api/playlist/PLmissing');
+    assert.equal(res.status, 404);
+    assert.equal(body.message, "Cette playlist n'existe pas.");
+  });
+});
+
+describe('GET /api/channel/:id', () => {
+  it('returns channel metadata and videos', async () => {
+    const { res, body } = await getJson('/api/channel/@booba?limit=2');
+    assert.equal(res.status, 200);
+    assert.equal(body.id, 'UCowner00000000000000001');
+    assert.equal(body.handle, '@booba');
+    assert.equal(body.videosCount, 250);
+    assert.deepEqual(body.videos.map(x => x.id), ['vid00000001', 'vid00000002']);
+    assert.equal(body.continuationToken, 'CHANNEL_VIDEOS_2');
+  });
+
+  it('resumes a tab page cut by limit without losing videos', async () => {
+    const ids = [];
+    let path = '/api/channel/@booba/videos?limit=1';
+    for (let page = 0; page < 5 && path; page++) {
+      const { body } = await getJson(path);
+      ids.push(...body.videos.map(x => x.id));
+      path = body.continuationToken ? `/api/channel/@booba/videos?limit=1&pageToken=${body.continuationToken}` : null;
+    }
+    assert.deepEqual(ids, ['vid00000001', 'vid00000002', 'vid00000003']);
+    assert.equal(path, null);
+  });
+
+  it('reads the shorts tab', async () => {
+    const { body } = await getJson('/api/channel/UCowner00000000000000001/shorts');
+    assert.equal(body.tab, 'shorts');
+    assert.deepEqual(body.shorts.map(x => x.id).sort(), ['short000001', 'short000002']);
+  });
+
+  it('loads the about panel continuation', async () => {
+    const { body } = await getJson('/api/channel/@booba/about');
+    assert.equal(body.about.country, 'France');
+    assert.equal(body.about.links[0].url, 'https://booba.fr/');
+  });
+
+  it('answers 404 when youtube has no such channel', async () => {
+    const { res } = await getJson('/api/channel/@nobody');
+    assert.equal(res.status, 404);
+  });
+
+  it('answers 400 for a malformed channel url', async () => {
+    const { res, body } = await getJson(`/api/channel/${encodeURIComponent('https://exa mple.com:99999/@booba')}`);
+    assert.equal(res.status, 400);
+    assert.equal(body.message, 'invalid channel url');
+  });
+});
+
+describe('GET /metrics', () => {
+  it('reports requests, upstream statuses, parse failures and cache hits', async () => {
+    await getJson('/api/video/broken');
+    await getJson('/api/video/ratelimited');
+    await get('/api/search?q=metrics');
+    await get('/api/search?q=metrics');
+
+    const res = await get('/metrics');
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get('content-type'), /^text\/plain; version=0\.0\.4/);
+    const text = await res.text();
+    assert.match(text, /^ytr_http_requests_total\{route="health",method="GET",status="200"\} \d+$/m);
+    assert.match(text, /^ytr_http_requests_total\{route="video_get",method="GET",status="429"\} \d+$/m);
+    assert.match(text, /^ytr_http_request_duration_seconds_bucket\{route="search_get",status="200",le="\+Inf"\} \d+$/m);
+    assert.match(text, /^ytr_upstream_requests_total\{method="GET",status="429"\} \d+$/m);
+    assert.match(text, /^ytr_upstream_requests_total\{method="GET",status="200"\} \d+$/m);
+    assert.match(text, /^ytr_parse_failures_total\{extractor="ytInitialPlayerResponse"\} \d+$/m);
+    assert.match(text, /^ytr_cache_lookups_total\{resource="search",result="hit"\} \d+$/m);
+    assert.match(text, /^ytr_cache_hit_ratio\{resource="search"\} 0\.\d+$/m);
+  });
+
+  it('counts parse failures recovered by the innertube fallback', async () => {
+    const parseFailures = async () => {
+      const text = await (await get('/metrics')).text();
+      const match = text.match(/^ytr_parse_failures_total\{extractor="ytInitialData"\} (\d+)$/m);
+      return match ? Number(match[1]) : 0;
+    };
+    const before = await parseFailures();
+    const { res, body } = await getJson(`/api/search?q=${encodeURIComponent('consent wall')}`);
+    assert.equal(res.status, 200);
+    assert.equal(body.engine, 'innertube');
+    assert.equal(await parseFailures(), before + 1);
+  });
+});
+
+describe('access log', () => {
+  const accessOf = requestId =>
+    new Promise(resolve => {
+      const listener = entry => {
+        if (entry.requestId !== requestId) return;
+        server.off('access', listener);
+        resolve(entry);
+      };
+      server.on('access', listener);
+    });
+
+  it('echoes the client request id or generates one', async () => {
+    const echoed = await get('/health', { 'x-request-id': 'client-req.42' });
+    assert.equal(echoed.headers.get('x-request-id'), 'client-req.42');
+
+    const generated = await get('/health', { 'x-request-id': 'not a valid id' });
+    assert.match(generated.headers.get('x-request-id'), /^[0-9a-f-]{36}$/);
+  });
+
+  it('puts the request id in error bodies', async () => {
+    const missing = await get('/nope', { 'x-request-id': 'missing-1' });
+    assert.equal((await missing.json()).requestId, 'missing-1');
+
+    const invalid = await get('/api/search?q=booba&limit=-1', { 'x-request-id': 'invalid-1' });
+    assert.equal((await invalid.json()).requestId, 'invalid-1');
+  });
+
+  it('emits one entry per request with the upstream calls it made', async () => {
+    const logged = accessOf('trace-1');
+    const res = await get('/api/video/ratelimited', { 'x-request-id': 'trace-1' });
+    await res.arrayBuffer();
+    const entry = await logged;
+
+    assert.equal(entry.requestId, 'trace-1');
+    assert.equal(entry.method, 'GET');
+    assert.equal(entry.route, 'video_get');
+    assert.equal(entry.path, '/api/video/ratelimited');
+    assert.equal(entry.status, 429);
+    assert.equal(entry.level, 'warn');
+    assert.equal(entry.ip, '127.0.0.1');
+    assert.equal(typeof entry.durationMs, 'number');
+    assert.deepEqual(entry.error, { code: 'upstream_rate_limited', message: entry.error.message });
+    const watch = entry.upstream.find(x => x.method === 'GET' && /\/watch\?v=ratelimited/.test(x.url));
+    assert.equal(watch.status, 429);
+    assert.equal(typeof watch.durationMs, 'number');
+    assert.ok(entry.upstream.every(x => /^https?:\/\//.test(x.url)));
+  });
+
+  it('does not trace upstream calls of cache hits', async () => {
+    await get('/api/search?q=access-log');
+    const logged = accessOf('cached-1');
+    await (await get('/api/search?q=access-log', { 'x-request-id': 'cached-1' })).arrayBuffer();
+    const entry = await logged;
+    assert.equal(entry.route, 'search_get');
+    assert.deepEqual(entry.upstream, []);
+  });
+});
+
+describe('API keys and rate limits', () => {
+  it('limits anonymous clients per ip and leaves service routes alone', async () => {
+    const res = await get('/api/suggest?q=boo');
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get('x-ratelimit-limit'), '1000');
+    assert.ok(res.headers.get('x-ratelimit-quota-remaining'));
+    assert.equal((await get('/health')).headers.get('x-ratelimit-limit'), null);
+  });
+
+  // server.js reads its configuration once, so these run it in a child process without API_KEYS_FILE.
+  // Each element of `requests` is the headers of one /api/suggest call; resolves with the answers.
+  const runServer = async (extraEnv, requests) => {
+    const script = `
+      const server = require(${JSON.stringify(PATH.join(__dirname, '..', 'server'))});
+      server.listen(0, '127.0.0.1', async () => {
+        const answers = [];
+        for (const headers of JSON.parse(process.env.TEST_REQUESTS)) {
+          const res = await fetch(\`http://127.0.0.1:\${server.address().port}/api/suggest?q=boo\`, { headers });
+          answers.push({ status: res.status, limit: res.headers.get('x-ratelimit-limit') });
+        }
+        process.stdout.write(JSON.stringify(answers));
+        server.close();
+      });
+    `;
+    const env = Object.assign({}, process.env, extraEnv, {
+      UPSTREAM_BASE_URL: standIn.url,
+      UPSTREAM_RETRIES: '0',
+      TEST_REQUESTS: JSON.stringify(requests),
+    });
+    delete env.API_KEYS_FILE;
+    const { stdout } = await promisify(execFile)(process.execPath, ['-e', script], { env, timeout: 20000 });
+    return JSON.parse(stdout);
+  };
+
+  it('limits anonymous clients with the default limits when no key file is set', async () => {
+    assert.deepEqual(await runServer({}, [{}]), [{ status: 200, limit: '20' }]);
+  });
+
+  it('keys anonymous clients on the address the trusted proxy appended', async () => {
+    // A client forging a new left-most X-Forwarded-For entry on every call still shares one bucket.
+    const requests = Array.from({ length: 21 }, (_, i) => ({ 'x-forwarded-for': `10.0.0.${i}, 203.0.113.7` }));
+    const answers = await runServer({ TRUST_PROXY: '1' }, requests);
+    assert.ok(answers.slice(0, 20).every(x => x.status === 200));
+    assert.equal(answers[20].status, 429);
+  });
+
+  it('refuses unknown keys', async () => {
+    const { res, body } = await getJson('/api/suggest?q=boo&apiKey=wrong');
+    assert.equal(res.status, 401);
+    assert.equal(body.code, 'invalid_api_key');
+  });
+
+  it('applies the per-key bucket and daily quota, counting batch operations', async () => {
+    const headers = { 'x-api-key': 'tiny-key' };
+    const first = await get('/api/suggest?q=boo', headers);
+    assert.equal(first.status, 200);
+    assert.equal(first.headers.get('x-ratelimit-remaining'), '1');
+    assert.equal(first.headers.get('x-ratelimit-quota-remaining'), '2');
+
+    assert.equal((await get('/api/suggest?q=booba&apiKey=tiny-key')).status, 200);
+    const limited = await get('/api/suggest?q=boo', headers);
+    assert.equal(limited.status, 429);
+    assert.equal((await limited.json()).code, 'rate_limited');
+    assert.ok(Number(limited.headers.get('retry-after')) > 0);
+
+    const batch = await fetch(`${baseUrl}/api/batch`, {
+      method: 'POST',
+      headers: Object.assign({ 'content-type': 'application/json' }, headers),
+      body: JSON.stringify({ operations: [{ op: 'suggest', q: 'boo' }, { op: 'suggest', q: 'booba' }] }),
+    });
+    assert.equal(batch.status, 429);
+    assert.equal((await batch.json()).code, 'quota_exceeded');
+    assert.equal(batch.headers.get('x-ratelimit-quota-remaining'), '1');
+  });
+});
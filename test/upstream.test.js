@@ -0,0 +1,264 @@
+const assert = require('node:assert/strict');
+const FS = require('fs');
+const http = require('http');
+const { MockAgent, getGlobalDispatcher, setGlobalDispatcher } = require('undici');
+const os = require('os');
+const PATH = require('path');
+const { after, before, beforeEach, describe, it } = require('node:test');
+
+const upstream = require('../upstream');
+const { registry } = require('../metrics');
+const { getVideoDetails } = require('../youtubeResources');
+const UTIL = require('../util');
+const { startStandIn } = require('./helpers/standIn');
+
+let server;
+let baseUrl;
+let received = [];
+let attempts = new Map();
+let running = 0;
+let maxRunning = 0;
+const held = [];
+
+// Answers after `?delay=` ms, or only once released when `?hold` is set; `?invalid` breaks the json.
+// `?fail=503,429` answers the first tries of a url with those statuses (and `?retryAfter=`).
+before(async () => {
+  server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    received.push(`${req.url} ${req.headers['accept-language']}`);
+    const attempt = attempts.get(req.url) || 0;
+    attempts.set(req.url, attempt + 1);
+    const failures = url.searchParams.has('fail') ? url.searchParams.get('fail').split(',') : [];
+    if (attempt < failures.length) {
+      const retryAfter = url.searchParams.get('retryAfter');
+      res.writeHead(Number(failures[attempt]), retryAfter ? { 'retry-after': retryAfter } : {});
+      res.end('try again');
+      return;
+    }
+    running += 1;
+    maxRunning = Math.max(maxRunning, running);
+    res.on('close', () => {
+      running -= 1;
+    });
+    const answer = () => {
+      res.writeHead(200, { 'content-type': 'application/json' });
+      res.end(url.searchParams.has('invalid') ? '{"items":' : JSON.stringify({ path: url.pathname, items: [1, 2] }));
+    };
+    if (url.searchParams.has('hold')) held.push(answer);
+    else setTimeout(answer, Number(url.searchParams.get('delay')) || 0);
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+beforeEach(() => {
+  received = [];
+  attempts = new Map();
+  maxRunning = 0;
+  upstream.configure(Object.assign({}, upstream.DEFAULT_POLICY, { retries: 0 }));
+});
+
+after(async () => {
+  upstream.configure(upstream.DEFAULT_POLICY);
+  await new Promise(resolve => server.close(resolve));
+});
+
+const releaseHeld = () => held.splice(0).forEach(answer => answer());
+
+const upstreamRequests = (method, status) => {
+  const pattern = new RegExp(`^ytr_upstream_requests_total\\{method="${method}",status="${status}"\\} (\\d+)$`, 'm');
+  const match = registry.render().match(pattern);
+  return match ? Number(match[1]) : 0;
+};
+
+describe('upstream metrics', () => {
+  it('records a body that fails to parse as parse, not 200', async () => {
+    const [parsed, ok] = [upstreamRequests('POST', 'parse'), upstreamRequests('POST', 200)];
+    await assert.rejects(upstream.postJson(`${baseUrl}/youtubei/v1/next?invalid`, {}), { code: 'parse_error' });
+    assert.equal(upstreamRequests('POST', 'parse'), parsed + 1);
+    assert.equal(upstreamRequests('POST', 200), ok);
+  });
+});
+
+describe('retries', () => {
+  beforeEach(() => upstream.configure({ retries: 2, baseDelay: 1, maxDelay: 5 }));
+
+  it('retries a 503 until youtube answers', async () => {
+    const answer = await upstream.postJson(`${baseUrl}/youtubei/v1/next?fail=503`, {});
+    assert.deepEqual(answer.items, [1, 2]);
+    assert.equal(received.length, 2);
+  });
+
+  it('waits as long as retry-after asks on a 429', async () => {
+    const startedAt = Date.now();
+    const answer = await upstream.postJson(`${baseUrl}/youtubei/v1/next?fail=429&retryAfter=1`, {});
+    assert.deepEqual(answer.items, [1, 2]);
+    assert.equal(received.length, 2);
+    assert.ok(Date.now() - startedAt >= 1000);
+  });
+
+  it('gives up once the retry budget is spent', async () => {
+    await assert.rejects(upstream.fetchText(`${baseUrl}/watch?v=down&fail=503,502,503,500`), error => {
+      assert.equal(error.code, 'upstream_status');
+      assert.equal(error.statusCode, 503);
+      return true;
+    });
+    assert.equal(received.length, 3);
+  });
+
+  it('does not retry client errors', async () => {
+    await assert.rejects(upstream.fetchText(`${baseUrl}/watch?v=bad&fail=400`), { code: 'upstream_status' });
+    assert.equal(received.length, 1);
+  });
+
+  it('stops at the total timeout', async () => {
+    upstream.configure({ totalTimeout: 200 });
+    const startedAt = Date.now();
+    // A retry-after past the deadline surfaces the 429 at once instead of sleeping.
+    await assert.rejects(upstream.fetchText(`${baseUrl}/watch?v=busy&fail=429&retryAfter=60`), {
+      code: 'upstream_rate_limited',
+    });
+    assert.equal(received.length, 1);
+    // A slow answer is cut off at the deadline, retries included.
+    await assert.rejects(upstream.fetchText(`${baseUrl}/watch?v=slow&delay=1000`), { code: 'timeout' });
+    assert.ok(Date.now() - startedAt < 1000);
+  });
+});
+
+describe('request coalescing', () => {
+  it('shares one upstream request between identical concurrent calls', async () => {
+    const url = `${baseUrl}/watch?v=trending&delay=20`;
+    const answers = await Promise.all(Array.from({ length: 5 }, () => upstream.fetchText(url, { hl: 'fr' })));
+    assert.equal(received.length, 1);
+    assert.ok(answers.every(x => x === answers[0]));
+
+    await upstream.fetchText(url, { hl: 'fr' });
+    assert.equal(received.length, 2);
+  });
+
+  it('keeps calls with other headers or readers apart', async () => {
+    const url = `${baseUrl}/watch?v=trending&delay=20`;
+    await Promise.all([
+      upstream.fetchText(url, { hl: 'fr' }),
+      upstream.fetchText(url, { hl: 'en' }),
+      upstream.request(url, { headers: { 'accept-language': 'fr' } }, upstream.readJson),
+    ]);
+    assert.equal(received.length, 3);
+  });
+
+  it('hands each caller its own copy of json answers', async () => {
+    const url = `${baseUrl}/youtubei/v1/next?delay=20`;
+    const [first, second] = await Promise.all([
+      upstream.postJson(url, { continuation: 'abc' }),
+      upstream.postJson(url, { continuation: 'abc' }),
+    ]);
+    assert.equal(received.length, 1);
+    assert.deepEqual(first, second);
+    assert.notEqual(first, second);
+    first.items.push(3);
+    assert.deepEqual(second.items, [1, 2]);
+  });
+
+  it('keeps the first caller from changing what the others get', async () => {
+    const url = `${baseUrl}/youtubei/v1/next?delay=20`;
+    const leader = upstream.postJson(url, { continuation: 'leader' }).then(answer => {
+      answer.items.push('mutated');
+      return answer;
+    });
+    const follower = upstream.postJson(url, { continuation: 'leader' });
+    const [first, second] = await Promise.all([leader, follower]);
+    assert.equal(received.length, 1);
+    assert.deepEqual(first.items, [1, 2, 'mutated']);
+    assert.deepEqual(second.items, [1, 2]);
+  });
+});
+
+describe('concurrency cap', () => {
+  it('never sends more than maxConcurrent requests at once', async () => {
+    upstream.configure({ maxConcurrent: 2 });
+    const urls = Array.from({ length: 6 }, (_, i) => `${baseUrl}/watch?v=video${i}&delay=15`);
+    const answers = await Promise.all(urls.map(url => upstream.fetchText(url)));
+    assert.equal(answers.length, 6);
+    assert.equal(received.length, 6);
+    assert.equal(maxRunning, 2);
+  });
+
+  it('refuses calls beyond the queue and times out waiting ones', async () => {
+    upstream.configure({ maxConcurrent: 1, maxQueue: 1, queueTimeout: 30 });
+    const first = upstream.fetchText(`${baseUrl}/watch?v=slow&hold`);
+    const queued = upstream.fetchText(`${baseUrl}/watch?v=queued`);
+    const refused = upstream.fetchText(`${baseUrl}/watch?v=refused`);
+
+    await assert.rejects(refused, error => {
+      assert.equal(error.code, 'upstream_queue_full');
+      assert.equal(error.status, 503);
+      assert.equal(error.retryable, true);
+      return true;
+    });
+    await assert.rejects(queued, { code: 'upstream_queue_timeout' });
+
+    releaseHeld();
+    await first;
+    // The slot is free again.
+    await upstream.fetchText(`${baseUrl}/watch?v=after`);
+    assert.deepEqual(received.map(x => x.split(' ')[0]), ['/watch?v=slow&hold', '/watch?v=after']);
+  });
+});
+
+describe('record and replay transports', () => {
+  let standIn;
+  let fixturesDir;
+
+  before(async () => {
+    standIn = await startStandIn();
+    fixturesDir = FS.mkdtempSync(PATH.join(os.tmpdir(), 'ytr-fixtures-'));
+  });
+
+  after(async () => {
+    upstream.configure({ transport: 'live', fixturesDir: '', baseUrl: '' });
+    await standIn.close();
+    FS.rmSync(fixturesDir, { recursive: true, force: true });
+  });
+
+  it('replays recorded answers without the network and names missing fixtures', async () => {
+    upstream.configure({ transport: 'record', fixturesDir, baseUrl: standIn.url });
+    const recorded = await getVideoDetails('vid00000001', { relatedLimit: 1 });
+    assert.ok(FS.readdirSync(fixturesDir).length);
+
+    // Nothing listens on port 9: any live call would fail.
+    upstream.configure({ transport: 'replay', baseUrl: 'http://127.0.0.1:9' });
+    const sent = standIn.requests.length;
+    const replayed = await getVideoDetails('vid00000001', { relatedLimit: 1 });
+    // Relative dates ("il y a 5 ans") are resolved against the clock, so compare the rest.
+    for (const field of ['id', 'title', 'channel', 'durationSeconds', 'formats']) {
+      assert.deepEqual(replayed[field], recorded[field], field);
+    }
+    assert.deepEqual(replayed.related.map(x => x.id), recorded.related.map(x => x.id));
+    assert.equal(standIn.requests.length, sent);
+
+    await assert.rejects(getVideoDetails('vid00000002'), error => {
+      assert.equal(error.code, 'fixture_missing');
+      assert.match(error.message, /no fixture recorded for GET https:\/\/www\.youtube\.com\/watch\?v=vid00000002/);
+      return true;
+    });
+  });
+
+  it('skips the package update check while replaying', async () => {
+    const previous = getGlobalDispatcher();
+    const agent = new MockAgent();
+    agent.disableNetConnect();
+    agent.get('https://api.github.com').intercept({ path: /.*/ }).reply(500, {});
+    setGlobalDispatcher(agent);
+    const noUpdate = process.env.YTSR_NO_UPDATE;
+    delete process.env.YTSR_NO_UPDATE;
+    try {
+      upstream.configure({ transport: 'replay', fixturesDir });
+      await UTIL.checkForUpdates();
+      assert.equal(agent.pendingInterceptors().length, 1);
+    } finally {
+      if (noUpdate !== undefined) process.env.YTSR_NO_UPDATE = noUpdate;
+      setGlobalDispatcher(previous);
+      await agent.close();
+    }
+  });
+});
@@ -0,0 +1,366 @@
+const crypto = require('crypto');
+const FS = require('fs');
+const PATH = require('path');
+const { request, Agent } = require('undici');
+const {
+  YtError,
+  ParseError,
+  TimeoutError,
+  UpstreamBusyError,
+  UpstreamNetworkError,
+  UpstreamRateLimitedError,
+  UpstreamStatusError,
+  fromUpstreamStatus,
+  fromNetworkError,
+} = require('./errors');
+const { registry } = require('./metrics');
+const { traceUpstream } = require('./requestContext');
+
+const USER_AGENT =
+  'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/132.0.0.0 Safari/537.36';
+// www.youtube.com and its service subdomains (suggestqueries-clients6, ...).
+const YT_ORIGIN_PATTERN = /^https:\/\/(?:[\w-]+\.)*youtube\.com(?=[/?]|$)/;
+const TRANSPORTS = ['live', 'record', 'replay'];
+
+const upstreamRequests = registry.counter(
+  'ytr_upstream_requests_total',
+  'Requests sent to YouTube, retries included, by method and answer status (or timeout, network, parse).',
+  ['method', 'status'],
+);
+const coalescedRequests = registry.counter(
+  'ytr_upstream_coalesced_total',
+  'Calls answered by an identical request already in flight instead of a request of their own.',
+);
+const RECORDED_HEADERS = ['content-type', 'retry-after'];
+
+// Timeouts are in milliseconds. `totalTimeout` bounds a whole call, retries and backoff included;
+// `retries` is the per-call retry budget on top of the first attempt. At most `maxConcurrent`
+// requests (0: no cap) are sent at once; others wait in a queue of `maxQueue` for `queueTimeout`.
+const DEFAULT_POLICY = {
+  connectTimeout: 5000,
+  headersTimeout: 10000,
+  bodyTimeout: 15000,
+  totalTimeout: 30000,
+  retries: 2,
+  baseDelay: 300,
+  maxDelay: 5000,
+  maxConcurrent: 8,
+  maxQueue: 100,
+  queueTimeout: 10000,
+};
+
+let policy = Object.assign({}, DEFAULT_POLICY);
+let dispatcher = new Agent({ connect: { timeout: policy.connectTimeout } });
+
+// `baseUrl` replaces the youtube.com origins of every upstream call (item URLs in responses keep
+// pointing at youtube.com). `transport` is live, record (live, saving every answer under
+// `fixturesDir`) or replay (answers served from `fixturesDir`, no network at all).
+let transport = { baseUrl: null, mode: 'live', fixturesDir: null };
+
+exports.configure = (overrides = {}) => {
+  const next = Object.assign({}, policy);
+  for (const key of Object.keys(DEFAULT_POLICY)) {
+    const raw = overrides[key];
+    if (raw === undefined || raw === null || raw === '') continue;
+    const value = Number(raw);
+    if (Number.isFinite(value) && value >= 0) next[key] = value;
+  }
+
+  const nextTransport = Object.assign({}, transport);
+  if (overrides.baseUrl !== undefined) {
+    nextTransport.baseUrl = overrides.baseUrl ? String(overrides.baseUrl).replace(/\/+$/, '') : null;
+  }
+  if (overrides.fixturesDir !== undefined) nextTransport.fixturesDir = overrides.fixturesDir || null;
+  if (overrides.transport) {
+    if (!TRANSPORTS.includes(overrides.transport)) {
+      throw new Error(`unknown upstream transport ${overrides.transport}: use one of ${TRANSPORTS.join(', ')}`);
+    }
+    nextTransport.mode = overrides.transport;
+  }
+  if (nextTransport.mode !== 'live' && !nextTransport.fixturesDir) {
+    throw new Error(`the ${nextTransport.mode} transport needs a fixturesDir`);
+  }
+
+  if (next.connectTimeout !== policy.connectTimeout) {
+    const previous = dispatcher;
+    dispatcher = new Agent({ connect: { timeout: next.connectTimeout } });
+    previous.close().catch(() => {});
+  }
+  policy = next;
+  transport = nextTransport;
+  return Object.assign({ transport: transport.mode, baseUrl: transport.baseUrl, fixturesDir: transport.fixturesDir }, policy);
+};
+
+const buildHeaders = (opts, extra) =>
+  Object.assign(
+    {
+      cookie: 'SOCS=CAI',
+      'accept-language': `${opts.hl || 'fr'},en;q=0.9`,
+      'user-agent': USER_AGENT,
+    },
+    extra,
+    opts.headers,
+  );
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+const isRetryable = error =>
+  error instanceof UpstreamRateLimitedError ||
+  error instanceof UpstreamNetworkError ||
+  error instanceof TimeoutError ||
+  (error instanceof UpstreamStatusError && error.retryable);
+
+// Full jitter: a random delay in [0, min(maxDelay, baseDelay * 2^attempt)].
+const backoffDelay = (attempt, current) =>
+  Math.random() * Math.min(current.maxDelay, current.baseDelay * 2 ** attempt);
+
+const bufferedBody = text => ({
+  text: async () => text,
+  json: async () => JSON.parse(text),
+  dump: async () => {},
+});
+
+// Fixtures are named after the canonical youtube.com URL, so recordings replay under any baseUrl.
+const fixtureFile = (method, url, body) => {
+  const hash = crypto.createHash('sha1').update(`${method} ${url}\n${body || ''}`).digest('hex');
+  const slug = new URL(url).pathname.replace(/[^\w]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 40) || 'root';
+  return PATH.join(transport.fixturesDir, `${method.toLowerCase()}-${slug}-${hash.slice(0, 16)}.json`);
+};
+
+const pickHeaders = headers => {
+  const out = {};
+  for (const name of RECORDED_HEADERS) if (headers && headers[name]) out[name] = headers[name];
+  return out;
+};
+
+const replay = async (method, url, body) => {
+  const file = fixtureFile(method, url, body);
+  let fixture;
+  try {
+    fixture = JSON.parse(await FS.promises.readFile(file, 'utf8'));
+  } catch (_) {
+    throw new YtError(`no fixture recorded for ${method} ${url}`, { code: 'fixture_missing', status: 502 });
+  }
+  return {
+    statusCode: fixture.response.statusCode,
+    headers: fixture.response.headers || {},
+    body: bufferedBody(fixture.response.body),
+  };
+};
+
+const record = async (method, url, body, res) => {
+  const text = await res.body.text();
+  const file = fixtureFile(method, url, body);
+  const fixture = {
+    request: { method, url, body: body || null },
+    response: { statusCode: res.statusCode, headers: pickHeaders(res.headers), body: text },
+  };
+  await FS.promises.mkdir(transport.fixturesDir, { recursive: true });
+  await FS.promises.writeFile(file, `${JSON.stringify(fixture, null, 2)}\n`);
+  return { statusCode: res.statusCode, headers: res.headers, body: bufferedBody(text) };
+};
+
+const resolveUrl = url => (transport.baseUrl ? url.replace(YT_ORIGIN_PATTERN, transport.baseUrl) : url);
+
+const send = async (url, requestOptions, remaining, current) => {
+  const method = requestOptions.method || 'GET';
+  const body = typeof requestOptions.body === 'string' ? requestOptions.body : null;
+  if (transport.mode === 'replay') return replay(method, url, body);
+
+  const res = await request(
+    resolveUrl(url),
+    Object.assign(
+      {
+        dispatcher,
+        headersTimeout: current.headersTimeout,
+        bodyTimeout: current.bodyTimeout,
+        signal: AbortSignal.timeout(Math.max(1, remaining)),
+      },
+      requestOptions,
+    ),
+  );
+  return transport.mode === 'record' ? record(method, url, body, res) : res;
+};
+
+// Slots for the concurrency cap. A released slot goes straight to the oldest waiter.
+let active = 0;
+const waiting = [];
+
+registry.gauge('ytr_upstream_in_flight', 'Requests to YouTube being sent right now.', [], () => [
+  { labels: {}, value: active },
+]);
+registry.gauge('ytr_upstream_queue_length', 'Requests to YouTube waiting for a free slot.', [], () => [
+  { labels: {}, value: waiting.length },
+]);
+
+const acquire = (current, remaining) => {
+  if (!current.maxConcurrent || active < current.maxConcurrent) {
+    active += 1;
+    return Promise.resolve();
+  }
+  if (waiting.length >= current.maxQueue) {
+    return Promise.reject(
+      new UpstreamBusyError(`${waiting.length} youtube requests already queued`, { code: 'upstream_queue_full' }),
+    );
+  }
+  const wait = Math.max(0, Math.min(current.queueTimeout, remaining));
+  return new Promise((resolve, reject) => {
+    const waiter = { resolve };
+    waiter.timer = setTimeout(() => {
+      waiting.splice(waiting.indexOf(waiter), 1);
+      const message = `no youtube request slot freed up in ${wait} ms`;
+      reject(new UpstreamBusyError(message, { code: 'upstream_queue_timeout' }));
+    }, wait);
+    waiting.push(waiter);
+  });
+};
+
+const release = () => {
+  const next = waiting.shift();
+  if (!next) {
+    active -= 1;
+    return;
+  }
+  clearTimeout(next.timer);
+  next.resolve();
+};
+
+// Every exchange is counted in the metrics and traced on the API request that caused it, with
+// its duration until the body was read (or the failure).
+const exchange = async (url, requestOptions, read, remaining, current) => {
+  const method = requestOptions.method || 'GET';
+  const startedAt = Date.now();
+  const done = status => {
+    upstreamRequests.inc({ method, status });
+    traceUpstream({ method, url, status, durationMs: Date.now() - startedAt });
+  };
+
+  let res;
+  try {
+    res = await send(url, requestOptions, remaining, current);
+  } catch (error) {
+    const failure = fromNetworkError(error);
+    done(failure instanceof TimeoutError ? 'timeout' : 'network');
+    throw failure;
+  }
+
+  if (res.statusCode !== 200) {
+    await res.body.dump().catch(() => {});
+    done(res.statusCode);
+    throw fromUpstreamStatus(res.statusCode, res.headers, url);
+  }
+
+  let value;
+  try {
+    value = await read(res.body);
+  } catch (error) {
+    // The status line said 200 but the body never made it: record what actually went wrong.
+    if (error instanceof SyntaxError) {
+      done('parse');
+      throw new ParseError('youtube returned invalid json', { extractor: 'json', cause: error });
+    }
+    const failure = fromNetworkError(error);
+    done(failure instanceof TimeoutError ? 'timeout' : 'network');
+    throw failure;
+  }
+  done(200);
+  return value;
+};
+
+// One try at `url`, holding a concurrency slot from the request until its body is read.
+const attempt = async (url, requestOptions, read, remaining, current) => {
+  const queuedAt = Date.now();
+  await acquire(current, remaining);
+  try {
+    return await exchange(url, requestOptions, read, remaining - (Date.now() - queuedAt), current);
+  } finally {
+    release();
+  }
+};
+
+const readText = body => body.text();
+const readJson = body => body.json();
+
+// Identical calls (same method, url, body, headers and reader) made while one is in flight share
+// its outcome, retries included. Once an answer is shared, every caller (the first one included)
+// gets its own copy, so no caller sees another's mutations.
+const inFlight = new Map();
+
+const copy = value => (value !== null && typeof value === 'object' ? structuredClone(value) : value);
+
+// Sends `requestOptions` to `url` and resolves with `read(body)` for a 200 answer. Retryable
+// failures (429, 5xx, network errors, timeouts) are retried with jittered exponential backoff,
+// honouring Retry-After, until the retry budget or the total timeout runs out.
+const withRetries = async (url, requestOptions, read, current) => {
+  const deadline = Date.now() + current.totalTimeout;
+
+  for (let retry = 0; ; retry++) {
+    try {
+      return await attempt(url, requestOptions, read, deadline - Date.now(), current);
+    } catch (error) {
+      if (!isRetryable(error) || retry >= current.retries) throw error;
+
+      let delay = backoffDelay(retry, current);
+      if (error instanceof UpstreamRateLimitedError && error.retryAfter !== null) {
+        delay = Math.max(delay, error.retryAfter * 1000);
+      }
+      // Not enough time left for another attempt: surface the failure we have.
+      if (Date.now() + delay >= deadline) throw error;
+      await sleep(delay);
+    }
+  }
+};
+
+exports.request = async (url, requestOptions = {}, read = readText) => {
+  const current = policy;
+  // Fold undici's `query` option into the URL so it takes part in fixture names.
+  if (requestOptions.query) {
+    const full = new URL(url);
+    for (const [key, value] of Object.entries(requestOptions.query)) {
+      if (value !== undefined && value !== null) full.searchParams.set(key, String(value));
+    }
+    url = full.toString();
+    requestOptions = Object.assign({}, requestOptions);
+    delete requestOptions.query;
+  }
+
+  const method = requestOptions.method || 'GET';
+  const key = JSON.stringify([method, url, requestOptions.body || null, requestOptions.headers || {}]);
+  const pending = inFlight.get(key);
+  if (pending && pending.read === read) {
+    pending.shared = true;
+    coalescedRequests.inc();
+    const startedAt = Date.now();
+    const traced = () => traceUpstream({ method, url, status: 'coalesced', durationMs: Date.now() - startedAt });
+    return pending.promise.finally(traced).then(copy);
+  }
+
+  const entry = { read, shared: false, promise: withRetries(url, requestOptions, read, current) };
+  inFlight.set(key, entry);
+  const forget = () => {
+    if (inFlight.get(key) === entry) inFlight.delete(key);
+  };
+  entry.promise.then(forget, forget);
+  return entry.promise.then(value => (entry.shared ? copy(value) : value));
+};
+
+exports.fetchText = (url, opts = {}) => exports.request(url, { headers: buildHeaders(opts) });
+
+exports.postJson = (url, payload, opts = {}) =>
+  exports.request(
+    url,
+    {
+      method: 'POST',
+      headers: buildHeaders(opts, { 'content-type': 'application/json' }),
+      body: JSON.stringify(payload),
+    },
+    readJson,
+  );
+
+exports.readJson = readJson;
+
+exports.transportMode = () => transport.mode;
+
+exports.DEFAULT_POLICY = DEFAULT_POLICY;
+exports.TRANSPORTS = TRANSPORTS;
+exports.USER_AGENT = USER_AGENT;
@@ -1,6 +1,8 @@
 const { request } = require('undici');
 const PATH = require('path');
 const FS = require('fs');
+const { encodeSearchFilters } = require('./searchFilters');
+const UPSTREAM = require('./upstream');
 
 const BASE_URL = 'https://www.youtube.com/';
 const DEFAULT_OPTIONS = { limit: 10, safeSearch: false };
@@ -79,11 +81,11 @@ const parseText = (exports.parseText = txt =>
 exports.parseIntegerFromText = x => (typeof x === 'string' ? Number(x) : Number(parseText(x).replace(/\D+/g, '')));
 
 // Request Utility
-exports.doPost = async (url, opts, payload) => {
+exports.doPost = (url, opts, payload) => {
   if (!opts) opts = {};
   const reqOpts = Object.assign({}, opts, { method: 'POST', body: JSON.stringify(payload) });
-  const r = await request(url, reqOpts);
-  return r.body.json();
+  // Same timeout and retry policy as the scraper's own upstream calls
+  return UPSTREAM.request(url, reqOpts, UPSTREAM.readJson);
 };
 
 // Guarantee that all arguments are valid
@@ -134,6 +136,11 @@ exports.checkArgs = (searchString, options = {}) => {
     // If no filter-link default to passing it all as query
     obj.query = { search_query: searchString };
   }
+  // Named filters (sort, uploadDate, duration, features) unless a filter link already set one
+  if (!obj.query.sp) {
+    const sp = encodeSearchFilters(options);
+    if (sp) obj.query.sp = sp;
+  }
   // Save the search term itself for potential later use
   obj.search = obj.query.search_query;
 
@@ -279,7 +286,8 @@ if (FS.existsSync(dumpDir)) FS.rmdirSync(dumpDir, { recursive: true });
 exports.logger = content => {
   const file = PATH.resolve(dumpDir, `${Date.now()}-${Math.random().toString(36).slice(3)}.txt`);
   const cfg = PATH.resolve(__dirname, './package.json');
-  const bugsRef = require(cfg).bugs.url;
+  const { bugs } = require(cfg);
+  const bugsRef = bugs && bugs.url ? bugs.url : 'the issue tracker';
 
   if (!FS.existsSync(dumpDir)) FS.mkdirSync(dumpDir);
   FS.writeFileSync(file, JSON.stringify(content));
@@ -296,8 +304,10 @@ const pkg = require('./package.json');
 const UPDATE_INTERVAL = 1000 * 60 * 60 * 12;
 let updateWarnTimes = 0;
 let lastUpdateCheck = 0;
+// Recording and replaying stay off the network beyond youtube itself, so they skip the check.
 exports.checkForUpdates = async () => {
-  if (process.env.YTSR_NO_UPDATE || Date.now() - lastUpdateCheck < UPDATE_INTERVAL) return;
+  if (process.env.YTSR_NO_UPDATE || UPSTREAM.transportMode() !== 'live') return;
+  if (Date.now() - lastUpdateCheck < UPDATE_INTERVAL) return;
 
   try {
     lastUpdateCheck = Date.now();
@@ -1,102 +1,39 @@
-const { request } = require('undici');
+const { fetchText, postJson } = require('./upstream');
+const { BadRequestError, NotFoundError, ParseError } = require('./errors');
+const { parseTimedText } = require('./captions');
+const { parseLockup } = require('./lockupViewModel');
+const NORMALIZE = require('./normalize');
+const {
+  parseText,
+  parseViewModelText,
+  parseCount,
+  normalizeThumbs,
+  parseReelItem,
+  parseShortsLockup,
+  collectByRendererKey,
+  collectItems,
+  extractJsonObject,
+  extractInitialData,
+  extractClientVersion,
+  extractContinuationToken,
+  DEFAULT_CLIENT_VERSION,
+} = require('./renderers');
 
 const YT_BASE_URL = 'https://www.youtube.com';
+const YT_BROWSE_API_URL = `${YT_BASE_URL}/youtubei/v1/browse?prettyPrint=false`;
+const YT_NEXT_API_URL = `${YT_BASE_URL}/youtubei/v1/next?prettyPrint=false`;
 const DEFAULT_LOCALE = { hl: 'fr', gl: 'FR' };
-
-const parseText = value => {
-  if (!value) return '';
-  if (typeof value === 'string') return value;
-  if (typeof value.simpleText === 'string') return value.simpleText;
-  if (Array.isArray(value.runs)) return value.runs.map(x => x.text || '').join('');
-  return '';
-};
-
-const parseCount = value => {
-  const text = parseText(value);
-  const digits = text.replace(/[^\d]/g, '');
-  return digits ? Number(digits) : null;
-};
-
-const normalizeThumbs = thumbObj => {
-  const thumbs = Array.isArray(thumbObj && thumbObj.thumbnails) ? [...thumbObj.thumbnails] : [];
-  thumbs.sort((a, b) => (b.width || 0) - (a.width || 0));
-  return thumbs.map(t => ({
-    url: t.url || null,
-    width: t.width || null,
-    height: t.height || null,
-  }));
-};
-
-const extractJsonObject = (html, marker) => {
-  const markerIndex = html.indexOf(marker);
-  if (markerIndex === -1) return null;
-
-  const start = html.indexOf('{', markerIndex + marker.length);
-  if (start === -1) return null;
-
-  let depth = 0;
-  let inString = false;
-  let escaped = false;
-
-  for (let i = start; i < html.length; i++) {
-    const ch = html[i];
-    if (inString) {
-      if (escaped) escaped = false;
-      else if (ch === '\\') escaped = true;
-      else if (ch === '"') inString = false;
-      continue;
-    }
-
-    if (ch === '"') {
-      inString = true;
-      continue;
-    }
-
-    if (ch === '{') depth += 1;
-    else if (ch === '}') {
-      depth -= 1;
-      if (depth === 0) {
-        const raw = html.slice(start, i + 1);
-        try {
-          return JSON.parse(raw);
-        } catch (_) {
-          return null;
-        }
-      }
-    }
-  }
-
-  return null;
-};
-
-const extractInitialData = html =>
-  extractJsonObject(html, 'var ytInitialData = ') ||
-  extractJsonObject(html, 'window["ytInitialData"] = ') ||
-  extractJsonObject(html, 'ytInitialData = ');
+const MAX_PLAYLIST_PAGES = 50;
+const MAX_CHANNEL_PAGES = 10;
+const CHANNEL_TABS = ['videos', 'shorts', 'streams', 'playlists', 'about'];
+// Position of each order in the comments header sort menu.
+const COMMENT_SORTS = { top: 0, new: 1 };
 
 const extractInitialPlayerResponse = html =>
   extractJsonObject(html, 'var ytInitialPlayerResponse = ') ||
   extractJsonObject(html, 'window["ytInitialPlayerResponse"] = ') ||
   extractJsonObject(html, 'ytInitialPlayerResponse = ');
 
-const walk = (node, fn) => {
-  if (!node || typeof node !== 'object') return;
-  fn(node);
-  if (Array.isArray(node)) {
-    for (const value of node) walk(value, fn);
-    return;
-  }
-  for (const value of Object.values(node)) walk(value, fn);
-};
-
-const collectByRendererKey = (root, rendererKey) => {
-  const out = [];
-  walk(root, node => {
-    if (Object.prototype.hasOwnProperty.call(node, rendererKey)) out.push(node[rendererKey]);
-  });
-  return out;
-};
-
 const dedupe = (items, keyFn) => {
   const seen = new Set();
   const out = [];
@@ -109,12 +46,32 @@ const dedupe = (items, keyFn) => {
   return out;
 };
 
-const buildWatchUrl = (videoId, opts) => {
-  const params = new URLSearchParams({
-    v: videoId,
-    hl: String(opts.hl || DEFAULT_LOCALE.hl),
-    gl: String(opts.gl || DEFAULT_LOCALE.gl),
-  });
+// Accepts bare ids as well as watch, youtu.be and /shorts/ URLs.
+const parseVideoInput = input => {
+  const raw = String(input || '').trim();
+  const shorts = raw.match(/(?:^|\/)shorts\/([\w-]{11})(?:[/?#]|$)/);
+  if (shorts) return { videoId: shorts[1], isShortUrl: true };
+  const watch = raw.match(/[?&]v=([\w-]{11})(?:[&#]|$)/) || raw.match(/youtu\.be\/([\w-]{11})(?:[/?#]|$)/);
+  return { videoId: watch ? watch[1] : raw, isShortUrl: false };
+};
+
+// The watch page of a Short is flagged in its player microformat, so no extra request is needed.
+const isShortsPage = playerResponse => {
+  const micro = (playerResponse.microformat && playerResponse.microformat.playerMicroformatRenderer) || {};
+  return micro.isShortsEligible === true || /\/shorts\//.test(micro.canonicalUrl || '');
+};
+
+const buildWatchUrl = (videoId, opts, extraParams = {}) => {
+  const params = new URLSearchParams(
+    Object.assign(
+      {
+        v: videoId,
+        hl: String(opts.hl || DEFAULT_LOCALE.hl),
+        gl: String(opts.gl || DEFAULT_LOCALE.gl),
+      },
+      extraParams,
+    ),
+  );
   return `${YT_BASE_URL}/watch?${params.toString()}`;
 };
 
@@ -127,14 +84,17 @@ const buildPlaylistUrl = (listId, opts) => {
   return `${YT_BASE_URL}/playlist?${params.toString()}`;
 };
 
-const buildChannelUrl = (channelIdOrHandle, opts) => {
+const buildChannelUrl = (channelIdOrHandle, opts, tab = 'videos') => {
   const raw = String(channelIdOrHandle || '').trim();
-  if (!raw) throw new Error('channel id/handle is required');
+  if (!raw) throw new BadRequestError('channel id/handle is required');
 
   let basePath = '';
   if (raw.startsWith('http://') || raw.startsWith('https://')) {
-    const parsed = new URL(raw);
-    basePath = parsed.pathname;
+    try {
+      basePath = new URL(raw).pathname;
+    } catch (_) {
+      throw new BadRequestError('invalid channel url');
+    }
   } else if (raw.startsWith('@')) {
     basePath = `/${raw}`;
   } else if (raw.startsWith('UC')) {
@@ -143,7 +103,9 @@ const buildChannelUrl = (channelIdOrHandle, opts) => {
     basePath = `/${raw}`;
   }
 
-  if (!basePath.endsWith('/videos')) basePath = `${basePath.replace(/\/+$/, '')}/videos`;
+  const segments = basePath.split('/').filter(Boolean);
+  if (segments.length > 1 && CHANNEL_TABS.includes(segments[segments.length - 1])) segments.pop();
+  basePath = `/${segments.join('/')}/${tab}`;
 
   const params = new URLSearchParams({
     hl: String(opts.hl || DEFAULT_LOCALE.hl),
@@ -152,21 +114,29 @@ const buildChannelUrl = (channelIdOrHandle, opts) => {
   return `${YT_BASE_URL}${basePath}?${params.toString()}`;
 };
 
-const fetchHtml = async url => {
-  const res = await request(url, {
-    headers: {
-      cookie: 'SOCS=CAI',
-      'accept-language': 'fr,en;q=0.9',
-      'user-agent':
-        'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/132.0.0.0 Safari/537.36',
-    },
-  });
+const fetchHtml = (url, opts) => fetchText(url, { hl: opts.hl || DEFAULT_LOCALE.hl });
 
-  if (res.statusCode !== 200) {
-    throw new Error(`youtube returned status ${res.statusCode}`);
-  }
-  return res.body.text();
-};
+const buildClientContext = (clientVersion, opts) => ({
+  client: {
+    clientName: 'WEB',
+    clientVersion: clientVersion || DEFAULT_CLIENT_VERSION,
+    hl: String(opts.hl || DEFAULT_LOCALE.hl),
+    gl: String(opts.gl || DEFAULT_LOCALE.gl),
+  },
+});
+
+const fetchContinuation = (apiUrl, token, clientVersion, opts) =>
+  postJson(
+    apiUrl,
+    { context: buildClientContext(clientVersion, opts), continuation: token },
+    { hl: opts.hl || DEFAULT_LOCALE.hl },
+  );
+
+const fetchBrowseContinuation = (token, clientVersion, opts) =>
+  fetchContinuation(YT_BROWSE_API_URL, token, clientVersion, opts);
+
+const fetchNextContinuation = (token, clientVersion, opts) =>
+  fetchContinuation(YT_NEXT_API_URL, token, clientVersion, opts);
 
 const parseVideoCard = renderer => {
   const ownerRun = renderer.ownerText && Array.isArray(renderer.ownerText.runs) ? renderer.ownerText.runs[0] : null;
@@ -199,8 +169,11 @@ const parseVideoCard = renderer => {
       : null,
     description: parseText(renderer.descriptionSnippet),
     duration: parseText(renderer.lengthText),
+    durationSeconds: NORMALIZE.parseDuration(parseText(renderer.lengthText)),
     views: parseCount(renderer.viewCountText),
+    viewsText: parseText(renderer.viewCountText),
     publishedAt: parseText(renderer.publishedTimeText),
+    publishedAtISO: NORMALIZE.parseRelativeDate(parseText(renderer.publishedTimeText)),
     thumbnails: normalizeThumbs(renderer.thumbnail),
   };
 };
@@ -220,8 +193,11 @@ const parseCompactVideo = renderer => ({
       }
     : null,
   duration: parseText(renderer.lengthText),
+  durationSeconds: NORMALIZE.parseDuration(parseText(renderer.lengthText)),
   views: parseCount(renderer.viewCountText),
+  viewsText: parseText(renderer.viewCountText),
   publishedAt: parseText(renderer.publishedTimeText),
+  publishedAtISO: NORMALIZE.parseRelativeDate(parseText(renderer.publishedTimeText)),
   thumbnails: normalizeThumbs(renderer.thumbnail),
 });
 
@@ -235,6 +211,9 @@ const parsePlaylistItem = renderer => {
     url: renderer.videoId ? `${YT_BASE_URL}/watch?v=${renderer.videoId}` : null,
     index: parseText(renderer.index),
     duration: parseText(renderer.lengthText),
+    durationSeconds: renderer.lengthSeconds
+      ? Number(renderer.lengthSeconds)
+      : NORMALIZE.parseDuration(parseText(renderer.lengthText)),
     channel: bylineRun
       ? {
           name: bylineRun.text || null,
@@ -249,6 +228,156 @@ const parsePlaylistItem = renderer => {
   };
 };
 
+const parseStreamCard = renderer => {
+  const badges = Array.isArray(renderer.badges)
+    ? renderer.badges.map(x => x.metadataBadgeRenderer && x.metadataBadgeRenderer.style).filter(Boolean)
+    : [];
+  const overlays = Array.isArray(renderer.thumbnailOverlays) ? renderer.thumbnailOverlays : [];
+  const liveOverlay = overlays.some(
+    x => x.thumbnailOverlayTimeStatusRenderer && x.thumbnailOverlayTimeStatusRenderer.style === 'LIVE',
+  );
+  const startTime = renderer.upcomingEventData ? Number(renderer.upcomingEventData.startTime) : null;
+
+  return Object.assign(parseVideoCard(renderer), {
+    isLive: liveOverlay || badges.includes('BADGE_STYLE_TYPE_LIVE_NOW'),
+    isUpcoming: !!renderer.upcomingEventData,
+    scheduledStartAt: startTime ? new Date(startTime * 1000).toISOString() : null,
+  });
+};
+
+const parseRelatedLockup = viewModel => {
+  const lockup = parseLockup(viewModel);
+  if (lockup.kind !== 'video') return null;
+  return {
+    id: lockup.id,
+    title: lockup.title,
+    url: lockup.id ? `${YT_BASE_URL}/watch?v=${lockup.id}` : null,
+    channel: lockup.channel ? { name: lockup.channel.name, id: lockup.channel.id } : null,
+    duration: lockup.duration,
+    durationSeconds: NORMALIZE.parseDuration(lockup.duration),
+    views: parseCount(lockup.viewsText),
+    viewsText: lockup.viewsText,
+    publishedAt: lockup.publishedText,
+    publishedAtISO: NORMALIZE.parseRelativeDate(lockup.publishedText),
+    thumbnails: lockup.thumbnails,
+  };
+};
+
+const parsePlaylistLockup = viewModel => {
+  const lockup = parseLockup(viewModel);
+  if (!lockup.isPlaylist) return null;
+  return {
+    id: lockup.id,
+    title: lockup.title,
+    url: lockup.id ? `${YT_BASE_URL}/playlist?list=${lockup.id}` : null,
+    videoCount: parseCount(lockup.videoCountText),
+    thumbnails: lockup.thumbnails,
+  };
+};
+
+const parseChannelPlaylist = renderer => ({
+  id: renderer.playlistId || null,
+  title: parseText(renderer.title),
+  url: renderer.playlistId ? `${YT_BASE_URL}/playlist?list=${renderer.playlistId}` : null,
+  videoCount: parseCount(renderer.videoCountText || renderer.videoCountShortText),
+  thumbnails: normalizeThumbs(
+    renderer.thumbnail ||
+      (Array.isArray(renderer.thumbnails) ? renderer.thumbnails[0] : null) ||
+      (renderer.thumbnailRenderer &&
+        renderer.thumbnailRenderer.playlistVideoThumbnailRenderer &&
+        renderer.thumbnailRenderer.playlistVideoThumbnailRenderer.thumbnail),
+  ),
+});
+
+// External links are wrapped in youtube.com/redirect URLs; unwrap them to the target.
+const unwrapRedirect = url => {
+  if (!url) return null;
+  try {
+    const parsed = new URL(url, YT_BASE_URL);
+    if (parsed.pathname === '/redirect' && parsed.searchParams.get('q')) return parsed.searchParams.get('q');
+    return parsed.toString();
+  } catch (_) {
+    return null;
+  }
+};
+
+// YouTube only publishes abbreviated subscriber counts ("1,2 M"), so an exact figure
+// is returned only when the text is not abbreviated.
+const parseExactCount = value => {
+  const text = parseViewModelText(value);
+  if (NORMALIZE.hasCountMultiplier(text)) return null;
+  return parseCount(text);
+};
+
+const parseAboutViewModel = viewModel => ({
+  description: viewModel.description || null,
+  country: viewModel.country || null,
+  joinedDate: parseViewModelText(viewModel.joinedDateText) || null,
+  views: parseCount(parseViewModelText(viewModel.viewCountText)),
+  subscribers: parseCount(parseViewModelText(viewModel.subscriberCountText)),
+  subscribersText: parseViewModelText(viewModel.subscriberCountText) || null,
+  subscriberCount: parseExactCount(viewModel.subscriberCountText),
+  videosCount: parseCount(parseViewModelText(viewModel.videoCountText)),
+  links: (Array.isArray(viewModel.links) ? viewModel.links : [])
+    .map(x => x.channelExternalLinkViewModel)
+    .filter(Boolean)
+    .map(link => {
+      const runs = link.link && Array.isArray(link.link.commandRuns) ? link.link.commandRuns : [];
+      const command = runs[0] && runs[0].onTap && runs[0].onTap.innertubeCommand;
+      const target = command && command.urlEndpoint ? command.urlEndpoint.url : null;
+      const text = parseViewModelText(link.link);
+      return {
+        title: parseViewModelText(link.title) || null,
+        url: unwrapRedirect(target) || (text ? `https://${text.replace(/^https?:\/\//, '')}` : null),
+      };
+    }),
+});
+
+const parseAboutFullMetadata = renderer => ({
+  description: parseText(renderer.description) || null,
+  country: parseText(renderer.country) || null,
+  joinedDate: parseText(renderer.joinedDateText) || null,
+  views: parseCount(renderer.viewCountText),
+  subscribers: null,
+  subscribersText: null,
+  subscriberCount: null,
+  videosCount: null,
+  links: (Array.isArray(renderer.primaryLinks) ? renderer.primaryLinks : []).map(link => ({
+    title: parseText(link.title) || null,
+    url:
+      link.navigationEndpoint && link.navigationEndpoint.urlEndpoint
+        ? unwrapRedirect(link.navigationEndpoint.urlEndpoint.url)
+        : null,
+  })),
+});
+
+const CHANNEL_TAB_COLLECTORS = {
+  videos: root => collectItems(root, { videoRenderer: parseVideoCard }),
+  streams: root => collectItems(root, { videoRenderer: parseStreamCard }),
+  shorts: root => collectItems(root, { reelItemRenderer: parseReelItem, shortsLockupViewModel: parseShortsLockup }),
+  playlists: root =>
+    collectItems(root, {
+      gridPlaylistRenderer: parseChannelPlaylist,
+      playlistRenderer: parseChannelPlaylist,
+      lockupViewModel: parsePlaylistLockup,
+    }),
+};
+
+// Removed, private or mistyped videos still answer 200 with an ERROR playability status.
+const assertPlayable = (playerResponse, videoId) => {
+  const playability = playerResponse.playabilityStatus || {};
+  if (!playerResponse.videoDetails && playability.status === 'ERROR') {
+    throw new NotFoundError(playability.reason || `video ${videoId} is unavailable`);
+  }
+};
+
+// Unknown playlists render a page with an ERROR alert and no metadata.
+const assertPlaylistExists = (initialData, listId) => {
+  if (initialData.metadata) return;
+  const alert = collectByRendererKey(initialData, 'alertRenderer').find(x => x.type === 'ERROR');
+  if (alert) throw new NotFoundError(parseText(alert.text) || `playlist ${listId} does not exist`);
+};
+
 const parseCaptionTracks = playerResponse => {
   const tracks =
     playerResponse &&
@@ -263,32 +392,201 @@ const parseCaptionTracks = playerResponse => {
     name: track.name ? parseText(track.name) : null,
     kind: track.kind || null,
     isAutoGenerated: track.kind === 'asr',
+    isTranslatable: !!track.isTranslatable,
     url: track.baseUrl || null,
   }));
 };
 
-exports.getVideoDetails = async (videoId, options = {}) => {
-  if (!videoId || typeof videoId !== 'string') throw new Error('video id is required');
+const toNumberOrNull = value => (value !== undefined && value !== null && value !== '' ? Number(value) : null);
+
+// 'video/mp4; codecs="avc1.640028, mp4a.40.2"' -> { type: 'video/mp4', codecs: ['avc1.640028', 'mp4a.40.2'] }
+const parseMimeType = mimeType => {
+  const [type, ...params] = String(mimeType || '').split(';');
+  const codecs = params.map(x => x.trim()).find(x => x.startsWith('codecs='));
+  return {
+    type: type.trim() || null,
+    codecs: codecs
+      ? codecs
+          .slice('codecs='.length)
+          .replace(/"/g, '')
+          .split(',')
+          .map(x => x.trim())
+          .filter(Boolean)
+      : [],
+  };
+};
+
+// Formats without a plain url carry a signatureCipher (or the older cipher) that a player has
+// to decipher with the base.js of the watch page before the stream can be fetched.
+const parseFormat = format => {
+  const mime = parseMimeType(format.mimeType);
+  const hasVideo = !!mime.type && mime.type.startsWith('video/');
+  const hasAudio = (!!mime.type && mime.type.startsWith('audio/')) || !!format.audioSampleRate;
+
+  return {
+    itag: format.itag || null,
+    url: format.url || null,
+    mimeType: mime.type,
+    codecs: mime.codecs,
+    hasVideo,
+    hasAudio,
+    bitrate: toNumberOrNull(format.bitrate),
+    averageBitrate: toNumberOrNull(format.averageBitrate),
+    width: hasVideo ? toNumberOrNull(format.width) : null,
+    height: hasVideo ? toNumberOrNull(format.height) : null,
+    resolution: hasVideo && format.width && format.height ? `${format.width}x${format.height}` : null,
+    fps: hasVideo ? toNumberOrNull(format.fps) : null,
+    qualityLabel: format.qualityLabel || null,
+    audioQuality: format.audioQuality || null,
+    audioSampleRate: hasAudio ? toNumberOrNull(format.audioSampleRate) : null,
+    audioChannels: hasAudio ? toNumberOrNull(format.audioChannels) : null,
+    contentLength: toNumberOrNull(format.contentLength),
+    approxDurationMs: toNumberOrNull(format.approxDurationMs),
+    needsDecipher: !format.url && !!(format.signatureCipher || format.cipher),
+  };
+};
+
+// Muxed formats hold audio and video in one stream; adaptive ones hold either.
+const parseStreamingData = playerResponse => {
+  const data = playerResponse.streamingData || {};
+  return {
+    expiresInSeconds: toNumberOrNull(data.expiresInSeconds),
+    hlsManifestUrl: data.hlsManifestUrl || null,
+    dashManifestUrl: data.dashManifestUrl || null,
+    muxed: (Array.isArray(data.formats) ? data.formats : []).map(parseFormat),
+    adaptive: (Array.isArray(data.adaptiveFormats) ? data.adaptiveFormats : []).map(parseFormat),
+  };
+};
 
+// Chapter panels: the uploader's own chapters first, YouTube's auto-generated ones after.
+const CHAPTER_PANELS = {
+  'engagement-panel-macro-markers-description-chapters': 'markers',
+  'engagement-panel-macro-markers-auto-chapters': 'auto',
+};
+const TIMESTAMP_PATTERN = /(?:^|[\s([])((?:\d{1,2}:)?\d{1,2}:\d{2})(?=$|[\s)\]])/;
+
+const parseMarkerItem = item => {
+  const endpoint = (item.onTap && item.onTap.watchEndpoint) || {};
+  return {
+    title: parseText(item.title),
+    startSeconds:
+      typeof endpoint.startTimeSeconds === 'number'
+        ? endpoint.startTimeSeconds
+        : NORMALIZE.parseDuration(parseText(item.timeDescription)),
+    thumbnails: normalizeThumbs(item.thumbnail),
+  };
+};
+
+const parseChapterRenderer = renderer => ({
+  title: parseText(renderer.title),
+  startSeconds: Math.floor(Number(renderer.timeRangeStartMillis) / 1000),
+  thumbnails: normalizeThumbs(renderer.thumbnail),
+});
+
+const parseMarkerChapters = initialData => {
+  for (const [panelId, source] of Object.entries(CHAPTER_PANELS)) {
+    const panel = collectByRendererKey(initialData, 'engagementPanelSectionListRenderer').find(
+      x => x.panelIdentifier === panelId,
+    );
+    const items = panel ? collectByRendererKey(panel, 'macroMarkersListItemRenderer') : [];
+    if (items.length) return { source, chapters: items.map(parseMarkerItem) };
+  }
+
+  // Older pages only carry chapters in the player bar markers map.
+  const renderers = collectByRendererKey(initialData, 'chapterRenderer');
+  return renderers.length ? { source: 'markers', chapters: renderers.map(parseChapterRenderer) } : null;
+};
+
+// Mirrors the rules YouTube applies to description timestamps: the first chapter starts at 0:00,
+// and there are at least three of them in ascending order.
+const parseDescriptionChapters = description => {
+  const chapters = [];
+  for (const line of String(description || '').split('\n')) {
+    const match = line.match(TIMESTAMP_PATTERN);
+    if (!match) continue;
+    chapters.push({
+      title: line
+        .replace(match[1], '')
+        .replace(/^[\s\-–—:|)\]]+|[\s\-–—:|([]+$/g, '')
+        .replace(/\(\)|\[\]/g, '')
+        .trim(),
+      startSeconds: NORMALIZE.parseDuration(match[1]),
+      thumbnails: [],
+    });
+  }
+
+  const ascending = chapters.every((x, i) => i === 0 || x.startSeconds > chapters[i - 1].startSeconds);
+  return chapters.length >= 3 && chapters[0].startSeconds === 0 && ascending ? chapters : [];
+};
+
+// Resolves to { source: 'markers' | 'auto' | 'description' | null, chapters }; each chapter ends
+// where the next one starts, and the last one with the video.
+const parseChapters = (initialData, playerResponse) => {
+  const details = (playerResponse && playerResponse.videoDetails) || {};
+  const fromDescription = parseDescriptionChapters(details.shortDescription);
+  const found =
+    (initialData && parseMarkerChapters(initialData)) ||
+    (fromDescription.length ? { source: 'description', chapters: fromDescription } : null);
+  if (!found) return { source: null, chapters: [] };
+
+  const lengthSeconds = details.lengthSeconds ? Number(details.lengthSeconds) : null;
+  const chapters = found.chapters
+    .filter(x => x.title && Number.isFinite(x.startSeconds))
+    .map((chapter, i, list) =>
+      Object.assign({}, chapter, { endSeconds: i + 1 < list.length ? list[i + 1].startSeconds : lengthSeconds }),
+    );
+  return { source: found.source, chapters };
+};
+
+const sameLanguage = (a, b) => String(a || '').toLowerCase() === String(b || '').toLowerCase();
+const baseLanguage = code => String(code || '').toLowerCase().split('-')[0];
+
+// Prefers a manual track in the requested language, then an auto-generated one, then a
+// regional variant; otherwise asks YouTube to translate a translatable track via `tlang`.
+const selectCaptionTrack = (tracks, lang) => {
+  const byPreference = list => list.find(x => !x.isAutoGenerated) || list[0];
+
+  const exact = byPreference(tracks.filter(x => sameLanguage(x.languageCode, lang)));
+  if (exact) return { track: exact, translateTo: null };
+
+  const regional = byPreference(tracks.filter(x => baseLanguage(x.languageCode) === baseLanguage(lang)));
+  if (regional) return { track: regional, translateTo: null };
+
+  const source = byPreference(tracks.filter(x => x.isTranslatable));
+  if (source) return { track: source, translateTo: lang };
+
+  return null;
+};
+
+exports.getVideoDetails = async (input, options = {}) => {
+  if (!input || typeof input !== 'string') throw new BadRequestError('video id is required');
+
+  const { videoId } = parseVideoInput(input);
   const opts = Object.assign({}, DEFAULT_LOCALE, options);
-  const html = await fetchHtml(buildWatchUrl(videoId, opts));
+  const html = await fetchHtml(buildWatchUrl(videoId, opts), opts);
   const initialData = extractInitialData(html);
   const playerResponse = extractInitialPlayerResponse(html);
 
-  if (!playerResponse) throw new Error('unable to parse ytInitialPlayerResponse');
+  if (!playerResponse) {
+    throw new ParseError('unable to parse ytInitialPlayerResponse', { extractor: 'ytInitialPlayerResponse' });
+  }
+  assertPlayable(playerResponse, videoId);
 
   const details = playerResponse.videoDetails || {};
   const micro = (playerResponse.microformat && playerResponse.microformat.playerMicroformatRenderer) || {};
+  const isShort = isShortsPage(playerResponse);
   const relatedLimit = Number.isFinite(Number(opts.relatedLimit)) && Number(opts.relatedLimit) > 0 ? Number(opts.relatedLimit) : 10;
 
-  const relatedRaw = initialData ? collectByRendererKey(initialData, 'compactVideoRenderer') : [];
-  const related = dedupe(relatedRaw.map(parseCompactVideo), item => item.id || item.url).slice(0, relatedLimit);
+  const relatedRaw = initialData
+    ? collectItems(initialData, { compactVideoRenderer: parseCompactVideo, lockupViewModel: parseRelatedLockup })
+    : [];
+  const related = dedupe(relatedRaw, item => item.id || item.url).slice(0, relatedLimit);
 
   return {
     type: 'video',
     id: details.videoId || videoId,
     title: details.title || null,
-    url: details.videoId ? `${YT_BASE_URL}/watch?v=${details.videoId}` : `${YT_BASE_URL}/watch?v=${videoId}`,
+    url: `${YT_BASE_URL}/${isShort ? 'shorts/' : 'watch?v='}${details.videoId || videoId}`,
     description: details.shortDescription || null,
     channel: {
       id: details.channelId || null,
@@ -298,23 +596,383 @@ exports.getVideoDetails = async (videoId, options = {}) => {
     durationSeconds: details.lengthSeconds ? Number(details.lengthSeconds) : null,
     viewCount: details.viewCount ? Number(details.viewCount) : null,
     isLive: !!details.isLiveContent,
+    isShort,
     keywords: Array.isArray(details.keywords) ? details.keywords : [],
     thumbnails: normalizeThumbs(details.thumbnail),
     publishDate: micro.publishDate || null,
     uploadDate: micro.uploadDate || null,
     category: micro.category || null,
     captions: parseCaptionTracks(playerResponse),
+    formats: parseStreamingData(playerResponse),
+    chapters: parseChapters(initialData, playerResponse).chapters,
     related,
   };
 };
 
+const fetchWatchPage = async (videoId, opts) => {
+  const html = await fetchHtml(buildWatchUrl(videoId, opts), opts);
+  const playerResponse = extractInitialPlayerResponse(html);
+  if (!playerResponse) {
+    throw new ParseError('unable to parse ytInitialPlayerResponse', { extractor: 'ytInitialPlayerResponse' });
+  }
+  assertPlayable(playerResponse, videoId);
+  return { initialData: extractInitialData(html), playerResponse };
+};
+
+exports.getVideoFormats = async (input, options = {}) => {
+  if (!input || typeof input !== 'string') throw new BadRequestError('video id is required');
+  if (options.audioOnly && options.videoOnly) throw new BadRequestError('audioOnly and videoOnly are exclusive');
+
+  const { videoId } = parseVideoInput(input);
+  const opts = Object.assign({}, DEFAULT_LOCALE, options);
+  const { playerResponse } = await fetchWatchPage(videoId, opts);
+  const formats = parseStreamingData(playerResponse);
+
+  const keep = format => {
+    if (opts.audioOnly) return format.hasAudio && !format.hasVideo;
+    if (opts.videoOnly) return format.hasVideo && !format.hasAudio;
+    return true;
+  };
+  return Object.assign({ videoId }, formats, {
+    muxed: formats.muxed.filter(keep),
+    adaptive: formats.adaptive.filter(keep),
+  });
+};
+
+exports.getVideoChapters = async (input, options = {}) => {
+  if (!input || typeof input !== 'string') throw new BadRequestError('video id is required');
+
+  const { videoId } = parseVideoInput(input);
+  const opts = Object.assign({}, DEFAULT_LOCALE, options);
+  const { initialData, playerResponse } = await fetchWatchPage(videoId, opts);
+  return Object.assign({ videoId }, parseChapters(initialData, playerResponse));
+};
+
+exports.getVideoCaptions = async (input, lang, options = {}) => {
+  if (!input || typeof input !== 'string') throw new BadRequestError('video id is required');
+  if (!lang || typeof lang !== 'string') throw new BadRequestError('caption language is required');
+
+  const { videoId } = parseVideoInput(input);
+  const opts = Object.assign({}, DEFAULT_LOCALE, options);
+  const { playerResponse } = await fetchWatchPage(videoId, opts);
+
+  const tracks = parseCaptionTracks(playerResponse).filter(x => x.url);
+  const selected = selectCaptionTrack(tracks, lang);
+  if (!selected) throw new NotFoundError(`no caption track for language ${lang}`);
+
+  const trackUrl = new URL(selected.track.url, YT_BASE_URL);
+  trackUrl.searchParams.set('fmt', 'srv3');
+  if (selected.translateTo) trackUrl.searchParams.set('tlang', selected.translateTo);
+
+  const xml = await fetchHtml(trackUrl.toString(), opts);
+  const cues = parseTimedText(xml);
+  if (!cues.length) throw new ParseError('caption track is empty', { extractor: 'timedtext' });
+
+  return {
+    videoId,
+    languageCode: selected.translateTo || selected.track.languageCode,
+    name: selected.track.name,
+    isAutoGenerated: selected.track.isAutoGenerated,
+    translatedFrom: selected.translateTo ? selected.track.languageCode : null,
+    cues,
+  };
+};
+
+// Like counts are abbreviated past a thousand ("1,2 k"), so `likes` is approximate from there;
+// an empty count means no likes yet.
+const parseLikeCount = text => {
+  const raw = String(text || '').trim();
+  return raw ? parseCount(raw) : 0;
+};
+
+// Current layouts only reference comments from a commentViewModel; the data itself is
+// delivered as entity mutations under frameworkUpdates, keyed by entity key.
+const collectEntities = json => {
+  const entities = new Map();
+  for (const key of ['commentEntityPayload', 'engagementToolbarStateEntityPayload']) {
+    for (const payload of collectByRendererKey(json, key)) if (payload.key) entities.set(payload.key, payload);
+  }
+  return entities;
+};
+
+const parseCommentViewModel = (viewModel, entities) => {
+  const payload = entities.get(viewModel.commentKey) || {};
+  const properties = payload.properties || {};
+  const author = payload.author || {};
+  const toolbar = payload.toolbar || {};
+  const toolbarState = entities.get(viewModel.toolbarStateKey) || {};
+
+  return {
+    id: properties.commentId || viewModel.commentId || null,
+    text: parseViewModelText(properties.content),
+    author: {
+      name: author.displayName || null,
+      id: author.channelId || null,
+      url: author.channelId ? `${YT_BASE_URL}/channel/${author.channelId}` : null,
+      thumbnails: author.avatarThumbnailUrl ? [{ url: author.avatarThumbnailUrl, width: null, height: null }] : [],
+      isChannelOwner: !!author.isCreator,
+      isVerified: !!author.isVerified,
+    },
+    likes: parseLikeCount(toolbar.likeCountNotliked),
+    likesText: toolbar.likeCountNotliked || '',
+    replyCount: parseCount(toolbar.replyCount) || 0,
+    isPinned: !!viewModel.pinnedText,
+    isHearted: toolbarState.heartState === 'TOOLBAR_HEART_STATE_HEARTED',
+    publishedAt: properties.publishedTime || '',
+    publishedAtISO: NORMALIZE.parseRelativeDate(properties.publishedTime),
+  };
+};
+
+const parseCommentRenderer = renderer => {
+  const buttons = (renderer.actionButtons && renderer.actionButtons.commentActionButtonsRenderer) || {};
+  const heart = buttons.creatorHeart && buttons.creatorHeart.creatorHeartRenderer;
+  const authorId =
+    renderer.authorEndpoint && renderer.authorEndpoint.browseEndpoint
+      ? renderer.authorEndpoint.browseEndpoint.browseId || null
+      : null;
+
+  return {
+    id: renderer.commentId || null,
+    text: parseText(renderer.contentText),
+    author: {
+      name: parseText(renderer.authorText) || null,
+      id: authorId,
+      url: authorId ? `${YT_BASE_URL}/channel/${authorId}` : null,
+      thumbnails: normalizeThumbs(renderer.authorThumbnail),
+      isChannelOwner: !!renderer.authorIsChannelOwner,
+      isVerified: !!renderer.authorCommentBadge,
+    },
+    likes: parseLikeCount(parseText(renderer.voteCount)),
+    likesText: parseText(renderer.voteCount),
+    replyCount: Number(renderer.replyCount) || 0,
+    isPinned: !!renderer.pinnedCommentBadge,
+    isHearted: !!(heart && heart.isHearted),
+    publishedAt: parseText(renderer.publishedTimeText),
+    publishedAtISO: NORMALIZE.parseRelativeDate(parseText(renderer.publishedTimeText)),
+  };
+};
+
+// Threads wrap the view model once more ({ commentViewModel: { commentViewModel } }); replies do not.
+const parseComment = (node, entities) => {
+  if (node.commentViewModel) {
+    const viewModel = node.commentViewModel.commentViewModel || node.commentViewModel;
+    return parseCommentViewModel(viewModel, entities);
+  }
+  if (node.comment && node.comment.commentRenderer) return parseCommentRenderer(node.comment.commentRenderer);
+  if (node.commentRenderer) return parseCommentRenderer(node.commentRenderer);
+  return null;
+};
+
+const parseCommentThread = (thread, entities) => {
+  const comment = parseComment(thread, entities);
+  return comment && Object.assign(comment, { repliesPageToken: extractContinuationToken(thread.replies) });
+};
+
+// Items appended or reloaded by a `next` response. Reply continuations nested in threads
+// are not part of it, so the page token below is never a thread's replies token.
+const collectContinuationItems = json =>
+  collectByRendererKey(json, 'continuationItems').reduce((out, items) => out.concat(items || []), []);
+
+const parseCommentsPage = json => {
+  const items = collectContinuationItems(json);
+  const entities = collectEntities(json);
+  return {
+    comments: items
+      .filter(x => x.commentThreadRenderer)
+      .map(x => parseCommentThread(x.commentThreadRenderer, entities))
+      .filter(x => x && x.id),
+    continuationToken: extractContinuationToken(items.filter(x => x.continuationItemRenderer)),
+  };
+};
+
+// The comments section is lazily loaded: the watch page only carries its first continuation.
+const extractCommentsToken = initialData => {
+  const section = collectByRendererKey(initialData, 'itemSectionRenderer').find(
+    x => x.sectionIdentifier === 'comment-item-section',
+  );
+  if (section) return extractContinuationToken(section);
+
+  const panel = collectByRendererKey(initialData, 'engagementPanelSectionListRenderer').find(
+    x => x.panelIdentifier === 'engagement-panel-comments-section',
+  );
+  return panel ? extractContinuationToken(panel) : null;
+};
+
+const fetchFirstCommentsPage = async (videoId, opts, extraParams) => {
+  const html = await fetchHtml(buildWatchUrl(videoId, opts, extraParams), opts);
+  const playerResponse = extractInitialPlayerResponse(html);
+  if (playerResponse) assertPlayable(playerResponse, videoId);
+  const initialData = extractInitialData(html);
+  if (!initialData) throw new ParseError('unable to parse ytInitialData', { extractor: 'ytInitialData' });
+
+  const token = extractCommentsToken(initialData);
+  const clientVersion = extractClientVersion(html);
+  return { clientVersion, json: token ? await fetchNextContinuation(token, clientVersion, opts) : null };
+};
+
+exports.getVideoComments = async (input, options = {}) => {
+  if (!input || typeof input !== 'string') throw new BadRequestError('video id is required');
+
+  const { videoId } = parseVideoInput(input);
+  const opts = Object.assign({}, DEFAULT_LOCALE, options);
+  const sort = opts.sort || 'top';
+  if (!Object.prototype.hasOwnProperty.call(COMMENT_SORTS, sort)) {
+    throw new BadRequestError(`invalid sort: use one of ${Object.keys(COMMENT_SORTS).join(', ')}`);
+  }
+
+  if (opts.pageToken) {
+    const json = await fetchNextContinuation(opts.pageToken, DEFAULT_CLIENT_VERSION, opts);
+    return Object.assign({ videoId, commentCount: null }, parseCommentsPage(json));
+  }
+
+  const first = await fetchFirstCommentsPage(videoId, opts);
+  // Comments are turned off for this video.
+  if (!first.json) return { videoId, commentCount: 0, comments: [], continuationToken: null };
+
+  const header = collectByRendererKey(first.json, 'commentsHeaderRenderer')[0] || {};
+  let json = first.json;
+  if (sort !== 'top') {
+    const menu = header.sortMenu && header.sortMenu.sortFilterSubMenuRenderer;
+    const item = menu && Array.isArray(menu.subMenuItems) ? menu.subMenuItems[COMMENT_SORTS[sort]] : null;
+    const command = collectByRendererKey(item, 'continuationCommand').find(x => x && x.token);
+    if (!command) throw new ParseError('unable to find the comments sort menu', { extractor: 'comments' });
+    json = await fetchNextContinuation(command.token, first.clientVersion, opts);
+  }
+
+  return Object.assign({ videoId, commentCount: parseExactCount(header.countText) }, parseCommentsPage(json));
+};
+
+const parseRepliesPage = json => {
+  const items = collectContinuationItems(json);
+  const entities = collectEntities(json);
+  return {
+    replies: items.map(x => parseComment(x, entities)).filter(x => x && x.id),
+    continuationToken: extractContinuationToken(items.filter(x => x.continuationItemRenderer)),
+  };
+};
+
+exports.getCommentReplies = async (input, commentId, options = {}) => {
+  if (!input || typeof input !== 'string') throw new BadRequestError('video id is required');
+  if (!commentId || typeof commentId !== 'string') throw new BadRequestError('comment id is required');
+
+  const { videoId } = parseVideoInput(input);
+  const opts = Object.assign({}, DEFAULT_LOCALE, options);
+  if (opts.pageToken) {
+    const json = await fetchNextContinuation(opts.pageToken, DEFAULT_CLIENT_VERSION, opts);
+    return Object.assign({ videoId, commentId }, parseRepliesPage(json));
+  }
+
+  // Linking a comment with `lc` puts its thread first in the comments section.
+  const first = await fetchFirstCommentsPage(videoId, opts, { lc: commentId });
+  const thread = first.json ? parseCommentsPage(first.json).comments.find(x => x.id === commentId) : null;
+  if (!thread) throw new NotFoundError(`comment ${commentId} not found`);
+  if (!thread.repliesPageToken) return { videoId, commentId, replies: [], continuationToken: null };
+
+  const json = await fetchNextContinuation(thread.repliesPageToken, first.clientVersion, opts);
+  return Object.assign({ videoId, commentId }, parseRepliesPage(json));
+};
+
+const collectPlaylistVideos = root => collectItems(root, { playlistVideoRenderer: parsePlaylistItem });
+
+const parsePlaylistVideoCount = (primaryInfo, initialData) => {
+  const stats = Array.isArray(primaryInfo.stats) ? primaryInfo.stats : [];
+  const fromStats = stats.length ? parseCount(stats[0]) : null;
+  if (fromStats !== null) return fromStats;
+
+  const header = collectByRendererKey(initialData, 'playlistHeaderRenderer')[0] || {};
+  return parseCount(header.numVideosText);
+};
+
+// Page tokens of playlists and channel tabs. A page returned whole hands out YouTube's own
+// continuation; a limit reached mid-page hands out an opaque token for that same page (null
+// continuation: the html page) with the number of its items already returned.
+const encodePageCursor = (continuation, skip) =>
+  skip ? Buffer.from(JSON.stringify({ c: continuation, s: skip })).toString('base64url') : continuation;
+
+const decodePageCursor = pageToken => {
+  let raw = null;
+  try {
+    raw = JSON.parse(Buffer.from(String(pageToken), 'base64url').toString('utf8'));
+  } catch (_) {
+    // a plain continuation token
+  }
+  if (raw && typeof raw === 'object' && Number.isInteger(raw.s) && raw.s > 0) {
+    return { continuation: typeof raw.c === 'string' && raw.c ? raw.c : null, skip: raw.s };
+  }
+  return { continuation: String(pageToken), skip: 0 };
+};
+
+// Collects up to `limit` unique items from `root` (the page fetched with `token`, null for the
+// html page), `skip` items in, then from at most `maxPages` continuation pages. Never drops the
+// rest of a page: the returned token resumes where the items stopped.
+const collectPages = async ({ root, token, skip, collect, clientVersion, opts, limit, maxPages }) => {
+  const items = [];
+  const seen = new Set();
+  let page = root;
+  let pageToken = token;
+  let offset = skip;
+
+  for (let pages = 0; ; pages++) {
+    const pageItems = collect(page);
+    let consumed = offset;
+    while (consumed < pageItems.length && items.length < limit) {
+      const item = pageItems[consumed++];
+      const key = item.id || item.url;
+      if (seen.has(key)) continue;
+      seen.add(key);
+      items.push(item);
+    }
+
+    if (consumed < pageItems.length) return { items, continuationToken: encodePageCursor(pageToken, consumed) };
+    const next = extractContinuationToken(page);
+    if (!next || items.length >= limit || pages >= maxPages) return { items, continuationToken: next };
+    page = await fetchBrowseContinuation(next, clientVersion, opts);
+    pageToken = next;
+    offset = 0;
+  }
+};
+
 exports.getPlaylistDetails = async (listId, options = {}) => {
-  if (!listId || typeof listId !== 'string') throw new Error('playlist id is required');
+  if (!listId || typeof listId !== 'string') throw new BadRequestError('playlist id is required');
 
   const opts = Object.assign({}, DEFAULT_LOCALE, options);
-  const html = await fetchHtml(buildPlaylistUrl(listId, opts));
+  const all = opts.all === true || opts.all === 'true';
+  const explicitLimit = Number.isFinite(Number(opts.limit)) && Number(opts.limit) > 0 ? Number(opts.limit) : null;
+  const limit = explicitLimit || (all ? Infinity : 100);
+  const maxPages = all ? MAX_PLAYLIST_PAGES : 0;
+
+  const cursor = opts.pageToken ? decodePageCursor(opts.pageToken) : { continuation: null, skip: 0 };
+  if (cursor.continuation) {
+    const json = await fetchBrowseContinuation(cursor.continuation, DEFAULT_CLIENT_VERSION, opts);
+    const { items, continuationToken } = await collectPages({
+      root: json,
+      token: cursor.continuation,
+      skip: cursor.skip,
+      collect: collectPlaylistVideos,
+      clientVersion: DEFAULT_CLIENT_VERSION,
+      opts,
+      limit,
+      maxPages,
+    });
+
+    return {
+      type: 'playlist',
+      id: listId,
+      title: null,
+      url: `${YT_BASE_URL}/playlist?list=${listId}`,
+      description: null,
+      channel: null,
+      stats: [],
+      videoCount: null,
+      videos: items,
+      continuationToken,
+    };
+  }
+
+  const html = await fetchHtml(buildPlaylistUrl(listId, opts), opts);
   const initialData = extractInitialData(html);
-  if (!initialData) throw new Error('unable to parse ytInitialData');
+  if (!initialData) throw new ParseError('unable to parse ytInitialData', { extractor: 'ytInitialData' });
+  assertPlaylistExists(initialData, listId);
 
   const metadata = (initialData.metadata && initialData.metadata.playlistMetadataRenderer) || {};
   const primaryInfo = collectByRendererKey(initialData, 'playlistSidebarPrimaryInfoRenderer')[0] || {};
@@ -327,19 +985,17 @@ exports.getPlaylistDetails = async (listId, options = {}) => {
       ? secondaryInfo.videoOwner.videoOwnerRenderer.title.runs[0]
       : null;
 
-  const limit = Number.isFinite(Number(opts.limit)) && Number(opts.limit) > 0 ? Number(opts.limit) : 100;
-  const videos = dedupe(
-    collectByRendererKey(initialData, 'playlistVideoRenderer').map(parsePlaylistItem),
-    item => item.id || item.url,
-  ).slice(0, limit);
-
-  const continuation = collectByRendererKey(initialData, 'continuationItemRenderer')[0];
-  const continuationToken =
-    continuation &&
-    continuation.continuationEndpoint &&
-    continuation.continuationEndpoint.continuationCommand
-      ? continuation.continuationEndpoint.continuationCommand.token || null
-      : null;
+  const { items: videos, continuationToken } = await collectPages({
+    root: initialData,
+    token: null,
+    skip: cursor.skip,
+    collect: collectPlaylistVideos,
+    clientVersion: extractClientVersion(html),
+    opts,
+    limit,
+    maxPages,
+  });
+  const videoCount = parsePlaylistVideoCount(primaryInfo, initialData);
 
   return {
     type: 'playlist',
@@ -358,41 +1014,126 @@ exports.getPlaylistDetails = async (listId, options = {}) => {
         }
       : null,
     stats: Array.isArray(primaryInfo.stats) ? primaryInfo.stats.map(parseText).filter(Boolean) : [],
-    videoCount: videos.length,
+    videoCount: videoCount !== null ? videoCount : continuationToken ? null : cursor.skip + videos.length,
     videos,
     continuationToken,
   };
 };
 
+const fetchChannelAbout = async (initialData, clientVersion, opts) => {
+  const viewModel = collectByRendererKey(initialData, 'aboutChannelViewModel')[0];
+  if (viewModel) return parseAboutViewModel(viewModel);
+
+  const legacy = collectByRendererKey(initialData, 'channelAboutFullMetadataRenderer')[0];
+  if (legacy) return parseAboutFullMetadata(legacy);
+
+  // The about panel is lazily loaded through a continuation of its own.
+  const panel = collectByRendererKey(initialData, 'aboutChannelRenderer')[0] || initialData.onResponseReceivedEndpoints;
+  const token = extractContinuationToken(panel);
+  if (!token) return null;
+
+  const json = await fetchBrowseContinuation(token, clientVersion, opts);
+  const loaded = collectByRendererKey(json, 'aboutChannelViewModel')[0];
+  return loaded ? parseAboutViewModel(loaded) : null;
+};
+
 exports.getChannelDetails = async (channelIdOrHandle, options = {}) => {
   if (!channelIdOrHandle || typeof channelIdOrHandle !== 'string') {
-    throw new Error('channel id/handle is required');
+    throw new BadRequestError('channel id/handle is required');
   }
 
   const opts = Object.assign({}, DEFAULT_LOCALE, options);
-  const html = await fetchHtml(buildChannelUrl(channelIdOrHandle, opts));
+  const tab = opts.tab || 'videos';
+  if (!CHANNEL_TABS.includes(tab)) throw new BadRequestError(`invalid channel tab: ${tab}`);
+  const limit = Number.isFinite(Number(opts.limit)) && Number(opts.limit) > 0 ? Number(opts.limit) : 30;
+  const collect = CHANNEL_TAB_COLLECTORS[tab];
+
+  const cursor = opts.pageToken ? decodePageCursor(opts.pageToken) : { continuation: null, skip: 0 };
+  if (opts.pageToken && !collect) throw new BadRequestError(`invalid pageToken: channel tab ${tab} has no pages`);
+  if (cursor.continuation) {
+    const json = await fetchBrowseContinuation(cursor.continuation, DEFAULT_CLIENT_VERSION, opts);
+    const { items, continuationToken } = await collectPages({
+      root: json,
+      token: cursor.continuation,
+      skip: cursor.skip,
+      collect,
+      clientVersion: DEFAULT_CLIENT_VERSION,
+      opts,
+      limit,
+      maxPages: MAX_CHANNEL_PAGES,
+    });
+
+    return {
+      type: 'channel',
+      tab,
+      id: channelIdOrHandle.startsWith('UC') ? channelIdOrHandle : null,
+      [tab]: items,
+      continuationToken,
+    };
+  }
+
+  const html = await fetchHtml(buildChannelUrl(channelIdOrHandle, opts, tab), opts);
   const initialData = extractInitialData(html);
-  if (!initialData) throw new Error('unable to parse ytInitialData');
+  if (!initialData) throw new ParseError('unable to parse ytInitialData', { extractor: 'ytInitialData' });
 
   const metadata = (initialData.metadata && initialData.metadata.channelMetadataRenderer) || {};
   const header = collectByRendererKey(initialData, 'c4TabbedHeaderRenderer')[0] || {};
-  const limit = Number.isFinite(Number(opts.limit)) && Number(opts.limit) > 0 ? Number(opts.limit) : 30;
+  const clientVersion = extractClientVersion(html);
 
-  const videos = dedupe(
-    collectByRendererKey(initialData, 'videoRenderer').map(parseVideoCard),
-    item => item.id || item.url,
-  ).slice(0, limit);
-
-  return {
+  const result = {
     type: 'channel',
+    tab,
     id: metadata.externalId || null,
     title: metadata.title || parseText(header.title) || null,
     handle: metadata.vanityChannelUrl ? metadata.vanityChannelUrl.replace(`${YT_BASE_URL}/`, '') : null,
     url: metadata.channelUrl || null,
     description: metadata.description || null,
     avatars: normalizeThumbs(metadata.avatar),
-    subscribers: parseText(header.subscriberCountText),
+    subscribers: parseCount(header.subscriberCountText),
+    subscribersText: parseText(header.subscriberCountText),
     videosCount: parseCount(header.videosCountText),
-    videos,
   };
+
+  if (tab === 'about') {
+    result.about = await fetchChannelAbout(initialData, clientVersion, opts);
+    return result;
+  }
+
+  // Tab contents live under the selected tab only; other tabs are not loaded.
+  const tabs = collectByRendererKey(initialData, 'tabRenderer');
+  const selected = tabs.find(x => x.selected && x.content) || initialData;
+  const { items, continuationToken } = await collectPages({
+    root: selected,
+    token: null,
+    skip: cursor.skip,
+    collect,
+    clientVersion,
+    opts,
+    limit,
+    maxPages: MAX_CHANNEL_PAGES,
+  });
+
+  result[tab] = items;
+  result.continuationToken = continuationToken;
+  return result;
 };
+
+exports.CHANNEL_TABS = CHANNEL_TABS;
+exports.COMMENT_SORTS = Object.keys(COMMENT_SORTS);
+exports.parseVideoCard = parseVideoCard;
+exports.parseCompactVideo = parseCompactVideo;
+exports.parsePlaylistItem = parsePlaylistItem;
+exports.parseStreamCard = parseStreamCard;
+exports.parseReelItem = parseReelItem;
+exports.parseShortsLockup = parseShortsLockup;
+exports.parseChannelPlaylist = parseChannelPlaylist;
+exports.parseRelatedLockup = parseRelatedLockup;
+exports.parsePlaylistLockup = parsePlaylistLockup;
+exports.parseAboutViewModel = parseAboutViewModel;
+exports.parseCaptionTracks = parseCaptionTracks;
+exports.parseStreamingData = parseStreamingData;
+exports.parseChapters = parseChapters;
+exports.parseDescriptionChapters = parseDescriptionChapters;
+exports.parseVideoInput = parseVideoInput;
+exports.parseCommentsPage = parseCommentsPage;
+exports.parseRepliesPage = parseRepliesPage;
@@ -1,102 +1,33 @@
-const { request } = require('undici');
+const { fetchText, postJson } = require('./upstream');
+const { BadRequestError, ParseError, recordParseFailure } = require('./errors');
+const { encodeSearchFilters } = require('./searchFilters');
+const innertube = require('./innertubeSearch');
+const { parseLockup } = require('./lockupViewModel');
+const NORMALIZE = require('./normalize');
+const {
+  parseText,
+  parseCount,
+  normalizeThumbs,
+  parseReelItem: parseReelRenderer,
+  parseShortsLockup: parseShortsLockupViewModel,
+  collectItems,
+  extractInitialData,
+  extractClientVersion,
+  extractContinuationToken,
+  DEFAULT_CLIENT_VERSION,
+} = require('./renderers');
 
 const YT_RESULTS_URL = 'https://www.youtube.com/results';
+const YT_SEARCH_API_URL = 'https://www.youtube.com/youtubei/v1/search?prettyPrint=false';
+const MAX_PAGES_PER_CALL = 20;
 const DEFAULT_OPTIONS = {
   limit: 10,
   type: 'video',
   hl: 'fr',
   gl: 'FR',
 };
-const VALID_TYPES = new Set(['video', 'playlist', 'channel', 'all']);
-
-const parseText = value => {
-  if (!value) return '';
-  if (typeof value === 'string') return value;
-  if (typeof value.simpleText === 'string') return value.simpleText;
-  if (Array.isArray(value.runs)) return value.runs.map(x => x.text || '').join('');
-  return '';
-};
-
-const parseCount = value => {
-  const text = parseText(value);
-  const digits = text.replace(/[^\d]/g, '');
-  return digits ? Number(digits) : null;
-};
-
-const normalizeThumbs = thumbObj => {
-  const thumbs = Array.isArray(thumbObj && thumbObj.thumbnails) ? [...thumbObj.thumbnails] : [];
-  thumbs.sort((a, b) => (b.width || 0) - (a.width || 0));
-  return thumbs.map(t => ({
-    url: t.url || null,
-    width: t.width || null,
-    height: t.height || null,
-  }));
-};
-
-const extractJsonObject = (html, marker) => {
-  const markerIndex = html.indexOf(marker);
-  if (markerIndex === -1) return null;
-
-  const start = html.indexOf('{', markerIndex + marker.length);
-  if (start === -1) return null;
-
-  let depth = 0;
-  let inString = false;
-  let escaped = false;
-
-  for (let i = start; i < html.length; i++) {
-    const ch = html[i];
-    if (inString) {
-      if (escaped) escaped = false;
-      else if (ch === '\\') escaped = true;
-      else if (ch === '"') inString = false;
-      continue;
-    }
-
-    if (ch === '"') {
-      inString = true;
-      continue;
-    }
-
-    if (ch === '{') depth += 1;
-    else if (ch === '}') {
-      depth -= 1;
-      if (depth === 0) {
-        const raw = html.slice(start, i + 1);
-        try {
-          return JSON.parse(raw);
-        } catch (_) {
-          return null;
-        }
-      }
-    }
-  }
-
-  return null;
-};
-
-const extractInitialData = html =>
-  extractJsonObject(html, 'var ytInitialData = ') ||
-  extractJsonObject(html, 'window["ytInitialData"] = ') ||
-  extractJsonObject(html, 'ytInitialData = ');
-
-const walk = (node, fn) => {
-  if (!node || typeof node !== 'object') return;
-  fn(node);
-  if (Array.isArray(node)) {
-    for (const value of node) walk(value, fn);
-    return;
-  }
-  for (const value of Object.values(node)) walk(value, fn);
-};
-
-const collectByRendererKey = (root, rendererKey) => {
-  const out = [];
-  walk(root, node => {
-    if (Object.prototype.hasOwnProperty.call(node, rendererKey)) out.push(node[rendererKey]);
-  });
-  return out;
-};
+const VALID_TYPES = new Set(['video', 'short', 'playlist', 'channel', 'all']);
+const VALID_ENGINES = new Set(['html', 'innertube', 'auto']);
 
 const parseVideo = renderer => {
   const ownerRun = renderer.ownerText && Array.isArray(renderer.ownerText.runs) ? renderer.ownerText.runs[0] : null;
@@ -134,8 +65,11 @@ const parseVideo = renderer => {
       : null,
     description: parseText(renderer.descriptionSnippet),
     duration: parseText(renderer.lengthText),
+    durationSeconds: NORMALIZE.parseDuration(parseText(renderer.lengthText)),
     views: parseCount(renderer.viewCountText),
+    viewsText: parseText(renderer.viewCountText),
     publishedAt: parseText(renderer.publishedTimeText),
+    publishedAtISO: NORMALIZE.parseRelativeDate(parseText(renderer.publishedTimeText)),
     isLive: badges.some(x => x.toUpperCase().includes('LIVE')),
     thumbnails: normalizeThumbs(renderer.thumbnail),
   };
@@ -167,78 +101,248 @@ const parsePlaylist = renderer => {
   };
 };
 
+const parseReelItem = renderer => Object.assign({ type: 'short' }, parseReelRenderer(renderer));
+
+const parseShortsLockup = viewModel => Object.assign({ type: 'short' }, parseShortsLockupViewModel(viewModel));
+
+const lockupToItem = lockup =>
+  lockup.isPlaylist
+    ? {
+        type: 'playlist',
+        id: lockup.id,
+        title: lockup.title,
+        url: lockup.id ? `https://www.youtube.com/playlist?list=${lockup.id}` : null,
+        channel: lockup.channel ? { name: lockup.channel.name, id: lockup.channel.id } : null,
+        videoCount: parseCount(lockup.videoCountText),
+        thumbnails: lockup.thumbnails,
+      }
+    : {
+        type: 'video',
+        id: lockup.id,
+        title: lockup.title,
+        url: lockup.id ? `https://www.youtube.com/watch?v=${lockup.id}` : null,
+        channel: lockup.channel,
+        description: '',
+        duration: lockup.duration,
+        durationSeconds: NORMALIZE.parseDuration(lockup.duration),
+        views: parseCount(lockup.viewsText),
+        viewsText: lockup.viewsText,
+        publishedAt: lockup.publishedText,
+        publishedAtISO: NORMALIZE.parseRelativeDate(lockup.publishedText),
+        isLive: lockup.isLive,
+        thumbnails: lockup.thumbnails,
+      };
+
 const parseChannel = renderer => ({
   type: 'channel',
   id: renderer.channelId || null,
   title: parseText(renderer.title),
   url: renderer.channelId ? `https://www.youtube.com/channel/${renderer.channelId}` : null,
   description: parseText(renderer.descriptionSnippet),
-  subscribers: parseText(renderer.subscriberCountText),
+  subscribers: parseCount(renderer.subscriberCountText),
+  subscribersText: parseText(renderer.subscriberCountText),
   videoCount: parseCount(renderer.videoCountText),
   thumbnails: normalizeThumbs(renderer.thumbnail),
 });
 
-const dedupe = items => {
+const itemKey = item => `${item.type}:${item.id || item.url || item.title}`;
+
+const parseItems = (root, type) => {
+  const parsed = [];
+  const lockups = collectItems(root, { lockupViewModel: renderer => lockupToItem(parseLockup(renderer)) });
+  if (type === 'video' || type === 'all') {
+    parsed.push(...collectItems(root, { videoRenderer: parseVideo }));
+    parsed.push(...collectItems(root, { gridVideoRenderer: parseVideo }));
+    parsed.push(...lockups.filter(x => x.type === 'video'));
+  }
+  // Shorts come in reelShelfRenderer shelves, as reel items or (newer) shorts lockups.
+  if (type === 'short' || type === 'all') {
+    parsed.push(...collectItems(root, { reelItemRenderer: parseReelItem }));
+    parsed.push(...collectItems(root, { shortsLockupViewModel: parseShortsLockup }));
+  }
+  if (type === 'playlist' || type === 'all') {
+    parsed.push(...collectItems(root, { playlistRenderer: parsePlaylist }));
+    parsed.push(...lockups.filter(x => x.type === 'playlist'));
+  }
+  if (type === 'channel' || type === 'all') {
+    parsed.push(...collectItems(root, { channelRenderer: parseChannel }));
+  }
+
   const seen = new Set();
-  const out = [];
-  for (const item of items) {
-    const key = `${item.type}:${item.id || item.url || item.title}`;
-    if (seen.has(key)) continue;
+  return parsed.filter(item => {
+    if (!item.id && !item.url) return false;
+    const key = itemKey(item);
+    if (seen.has(key)) return false;
     seen.add(key);
-    out.push(item);
-  }
-  return out;
+    return true;
+  });
 };
 
-module.exports = async (query, options = {}) => {
-  if (!query || typeof query !== 'string') {
-    throw new Error('query must be a non-empty string');
-  }
+// Page tokens are opaque to clients: they carry everything needed to resume a search,
+// including how many items of the referenced page were already returned.
+const encodePageToken = state =>
+  Buffer.from(
+    JSON.stringify({
+      q: state.query,
+      t: state.type,
+      hl: state.hl,
+      gl: state.gl,
+      f: state.sp,
+      v: state.clientVersion,
+      c: state.continuation,
+      s: state.skip,
+    }),
+  ).toString('base64url');
 
-  const opts = Object.assign({}, DEFAULT_OPTIONS, options);
-  opts.limit = Number.isFinite(Number(opts.limit)) && Number(opts.limit) > 0 ? Number(opts.limit) : DEFAULT_OPTIONS.limit;
-  opts.type = VALID_TYPES.has(opts.type) ? opts.type : DEFAULT_OPTIONS.type;
+const decodePageToken = pageToken => {
+  let raw;
+  try {
+    raw = JSON.parse(Buffer.from(String(pageToken), 'base64url').toString('utf8'));
+  } catch (_) {
+    raw = null;
+  }
+  if (!raw || typeof raw.q !== 'string' || !raw.q || !VALID_TYPES.has(raw.t)) {
+    throw new BadRequestError('invalid pageToken');
+  }
+  return {
+    query: raw.q,
+    type: raw.t,
+    hl: raw.hl,
+    gl: raw.gl,
+    sp: raw.f || null,
+    clientVersion: raw.v || DEFAULT_CLIENT_VERSION,
+    continuation: raw.c || null,
+    skip: Number.isInteger(raw.s) && raw.s > 0 ? raw.s : 0,
+  };
+};
 
+const fetchFirstPage = async state => {
   const params = new URLSearchParams({
-    search_query: query,
-    hl: String(opts.hl || DEFAULT_OPTIONS.hl),
-    gl: String(opts.gl || DEFAULT_OPTIONS.gl),
+    search_query: state.query,
+    hl: String(state.hl),
+    gl: String(state.gl),
   });
+  if (state.sp) params.set('sp', state.sp);
+
+  const html = await fetchText(`${YT_RESULTS_URL}?${params.toString()}`, { hl: state.hl });
+  const initialData = extractInitialData(html);
+  if (!initialData) throw new ParseError('unable to parse ytInitialData', { extractor: 'ytInitialData' });
 
-  const res = await request(`${YT_RESULTS_URL}?${params.toString()}`, {
-    headers: {
-      cookie: 'SOCS=CAI',
-      'accept-language': `${opts.hl},en;q=0.9`,
-      'user-agent':
-        'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/132.0.0.0 Safari/537.36',
+  state.clientVersion = extractClientVersion(html);
+  return initialData;
+};
+
+const fetchContinuationPage = state =>
+  postJson(
+    YT_SEARCH_API_URL,
+    {
+      context: {
+        client: {
+          clientName: 'WEB',
+          clientVersion: state.clientVersion,
+          hl: state.hl,
+          gl: state.gl,
+        },
+      },
+      continuation: state.continuation,
     },
-  });
+    { hl: state.hl },
+  );
 
-  if (res.statusCode !== 200) {
-    throw new Error(`youtube returned status ${res.statusCode}`);
+const searchHtml = async (query, opts) => {
+  let state;
+  if (opts.pageToken) {
+    state = decodePageToken(opts.pageToken);
+  } else {
+    if (!query || typeof query !== 'string') {
+      throw new BadRequestError('query must be a non-empty string');
+    }
+    state = {
+      query,
+      type: opts.type,
+      hl: String(opts.hl || DEFAULT_OPTIONS.hl),
+      gl: String(opts.gl || DEFAULT_OPTIONS.gl),
+      sp: encodeSearchFilters(opts),
+      clientVersion: DEFAULT_CLIENT_VERSION,
+      continuation: null,
+      skip: 0,
+    };
   }
 
-  const html = await res.body.text();
-  const initialData = extractInitialData(html);
-  if (!initialData) throw new Error('unable to parse ytInitialData');
+  const items = [];
+  const seen = new Set();
+  let estimatedResults = null;
+  let next = null;
 
-  const parsed = [];
-  if (opts.type === 'video' || opts.type === 'all') {
-    parsed.push(...collectByRendererKey(initialData, 'videoRenderer').map(parseVideo));
-    parsed.push(...collectByRendererKey(initialData, 'gridVideoRenderer').map(parseVideo));
-  }
-  if (opts.type === 'playlist' || opts.type === 'all') {
-    parsed.push(...collectByRendererKey(initialData, 'playlistRenderer').map(parsePlaylist));
-  }
-  if (opts.type === 'channel' || opts.type === 'all') {
-    parsed.push(...collectByRendererKey(initialData, 'channelRenderer').map(parseChannel));
-  }
+  for (let page = 0; page < MAX_PAGES_PER_CALL; page++) {
+    const data = state.continuation ? await fetchContinuationPage(state) : await fetchFirstPage(state);
+    if (estimatedResults === null && Number(data.estimatedResults)) estimatedResults = Number(data.estimatedResults);
+
+    const pageItems = parseItems(data, state.type);
+    let consumed = state.skip;
+    while (consumed < pageItems.length && items.length < opts.limit) {
+      const item = pageItems[consumed++];
+      const key = itemKey(item);
+      if (seen.has(key)) continue;
+      seen.add(key);
+      items.push(item);
+    }
+
+    const continuation = extractContinuationToken(data);
+    if (consumed < pageItems.length) {
+      // Limit reached mid-page: resume on this same page, past what was returned.
+      next = Object.assign({}, state, { skip: consumed });
+    } else {
+      next = continuation ? Object.assign({}, state, { continuation, skip: 0 }) : null;
+    }
 
-  const items = dedupe(parsed).filter(item => item.id || item.url).slice(0, opts.limit);
+    if (!next || items.length >= opts.limit) break;
+    state = next;
+  }
 
   return {
-    query,
-    estimatedResults: Number(initialData.estimatedResults) || null,
+    query: state.query,
+    estimatedResults,
     items,
+    nextPageToken: next ? encodePageToken(next) : null,
   };
 };
+
+module.exports = async (query, options = {}) => {
+  const opts = Object.assign({}, DEFAULT_OPTIONS, options);
+  opts.limit = Number.isFinite(Number(opts.limit)) && Number(opts.limit) > 0 ? Number(opts.limit) : DEFAULT_OPTIONS.limit;
+  opts.type = opts.type || DEFAULT_OPTIONS.type;
+  if (!VALID_TYPES.has(opts.type)) {
+    throw new BadRequestError(`invalid type: use one of ${[...VALID_TYPES].join(', ')}`);
+  }
+  opts.engine = opts.engine || 'auto';
+  if (!VALID_ENGINES.has(opts.engine)) {
+    throw new BadRequestError(`invalid engine: use one of ${[...VALID_ENGINES].join(', ')}`);
+  }
+
+  // Page tokens carry an innertube continuation, which only the html engine resumes.
+  if (opts.engine === 'html' || opts.pageToken) {
+    return Object.assign(await searchHtml(query, opts), { engine: 'html' });
+  }
+  if (opts.engine === 'innertube') {
+    return Object.assign(await innertube.search(query, opts), { engine: 'innertube' });
+  }
+
+  try {
+    return Object.assign(await searchHtml(query, opts), { engine: 'html' });
+  } catch (error) {
+    if (!(error instanceof ParseError) || !innertube.supportsType(opts.type)) throw error;
+    recordParseFailure(error);
+  }
+  return Object.assign(await innertube.search(query, opts), { engine: 'innertube' });
+};
+
+module.exports.parseVideo = parseVideo;
+module.exports.parsePlaylist = parsePlaylist;
+module.exports.parseChannel = parseChannel;
+module.exports.parseReelItem = parseReelItem;
+module.exports.parseShortsLockup = parseShortsLockup;
+module.exports.lockupToItem = lockupToItem;
+module.exports.extractInitialData = extractInitialData;
+module.exports.SEARCH_TYPES = [...VALID_TYPES];
+module.exports.SEARCH_ENGINES = [...VALID_ENGINES];
@@ -0,0 +1,60 @@
+const { fetchText } = require('./upstream');
+const { BadRequestError, ParseError } = require('./errors');
+
+const YT_SUGGEST_URL = 'https://suggestqueries-clients6.youtube.com/complete/search';
+const DEFAULT_OPTIONS = {
+  limit: 10,
+  hl: 'fr',
+  gl: 'FR',
+};
+
+// The service answers JSONP (`window.google.ac.h([...])`) for client=youtube and bare JSON
+// for other clients; both wrap [query, suggestions], where a suggestion is either a string
+// or an array starting with it.
+const parseSuggestions = text => {
+  const raw = String(text || '').trim();
+  const body = raw.startsWith('[') ? raw : raw.slice(raw.indexOf('(') + 1, raw.lastIndexOf(')'));
+
+  let data;
+  try {
+    data = JSON.parse(body);
+  } catch (error) {
+    throw new ParseError('unable to parse suggestions', { extractor: 'suggest', cause: error });
+  }
+  if (!Array.isArray(data) || !Array.isArray(data[1])) {
+    throw new ParseError('unexpected suggestions layout', { extractor: 'suggest' });
+  }
+
+  const seen = new Set();
+  return data[1]
+    .map(x => (Array.isArray(x) ? x[0] : x))
+    .filter(x => {
+      if (typeof x !== 'string' || !x || seen.has(x)) return false;
+      seen.add(x);
+      return true;
+    });
+};
+
+exports.suggest = async (query, options = {}) => {
+  if (!query || typeof query !== 'string') {
+    throw new BadRequestError('query must be a non-empty string');
+  }
+  const opts = Object.assign({}, DEFAULT_OPTIONS, options);
+  const limit = Number.isFinite(Number(opts.limit)) && Number(opts.limit) > 0 ? Number(opts.limit) : DEFAULT_OPTIONS.limit;
+
+  const params = new URLSearchParams({
+    client: 'youtube',
+    ds: 'yt',
+    q: query,
+    hl: String(opts.hl || DEFAULT_OPTIONS.hl),
+    gl: String(opts.gl || DEFAULT_OPTIONS.gl),
+  });
+  const text = await fetchText(`${YT_SUGGEST_URL}?${params.toString()}`, { hl: opts.hl });
+
+  return {
+    query,
+    suggestions: parseSuggestions(text).slice(0, limit),
+  };
+};
+
+exports.parseSuggestions = parseSuggestions;